@@ -1,4 +1,9 @@
-npm install;
-npm run extract;
-npm run build;
-npm run serve;
\ No newline at end of file
+#!/usr/bin/env sh
+# Install, crawl + validate + build (scripts/cli.mjs pipeline), then serve dist/.
+# Extra arguments go to the pipeline, e.g. ./run.sh --max-locations 50 --dry-run
+# Stops at the first failing step with that step's exit code (see scripts/cli.mjs).
+set -eu
+
+npm install
+node scripts/cli.mjs pipeline "$@"
+npm run serve
@@ -1,35 +1,183 @@
 /**
  * Build a file-server / Solid-Pod friendly static index:
- * - FLAT files: index.html, page-2.html, page-3.html, ...
- * - RELATIVE links everywhere (./style.css etc)
- * - Cards link to original IedereenOveral pages
+ * - One folder per language (nl/, fr/, en/; catalogue in scripts/lib/i18n.mjs) with the
+ *   same FLAT files in each: index.html, page-2.html, page-3.html, ...
+ * - Root index.html is a language chooser; every page has hreflang alternates and a
+ *   language switcher. Location names/addresses are never translated
+ * - Shared, language-independent files stay at the root (style.css, img/, *.ttl, locations.*)
+ * - RELATIVE links everywhere (../style.css, ./page-2.html etc)
+ * - One page per location: loc-<key>.html (all fields we hold, link to the original,
+ *   prev/next within the same municipality); cards link there first
+ * - Images: hotlinked by default; MIRROR_IMAGES=true downloads each thumbnail once
+ *   (content-hashed, cached in IMAGE_CACHE) and serves card/large variants from img/
+ *   with srcset + width/height (scripts/lib/images.mjs)
+ * - Accessibility medal (gold/silver/bronze) shown as a text badge
+ * - Markup comes from templates (layout, page, pager, card: templates/, overridable per
+ *   file with TEMPLATES=dir); theme/ (style.css, assets) is copied to the root, THEME=dir
+ *   adds or replaces files (scripts/lib/templates.mjs)
+ * - Several sources: DATA=a.json,b.json merges crawls of different site profiles into one
+ *   index (records carry `source`; older files without it are the default profile)
+ * - Browse by place: places.html, province-<slug>.html, municipality-<postcode>-<slug>.html
+ *   (paged like the main index: province-<slug>-2.html, ...)
+ * - Other orderings of all cards, same pager, linked from each other (scripts/lib/order.mjs):
+ *   az.html (by name, collated per language, with an A–Z jump bar), by-municipality.html,
+ *   recent.html (highest ID first); paged as az-2.html, ...
+ * - Map: locations.geojson + map.html (pre-rendered SVG of Belgium, one marker per
+ *   municipality; coordinates are postal-code centroids, see scripts/lib/geo.mjs)
+ * - Search (scripts/lib/search.mjs): a search box on every page. With JavaScript, search.js
+ *   answers from search/ (prefix index over title, municipality and postal code, sharded by
+ *   the first two letters); without, the form opens search.html, which links a result page
+ *   per title-word prefix (search-<prefix>.html, paged) and the municipality pages
+ *
+ * Linked Data (scripts/lib/linked-data.mjs), all with relative IRIs:
+ * - schema.org Place/TouristAttraction JSON-LD embedded in every card page
+ * - loc-<key>.ttl per location (subject <#it>; <key> is the ASCII file key, see lib/slug.mjs)
+ * - dataset.ttl (DCAT description of the index and its distributions)
+ * - ldes/ (ON with LDES=true, see scripts/lib/ldes.mjs): a TREE-fragmented Linked Data
+ *   Event Stream of location versions (by ID range and by municipality prefix); a new
+ *   version is added for every location whose description changed since the previous build
  *
  * Agent guidance:
- * - llms.txt (linked in HTML head + footer)
- * - locations.tsv (title<TAB>url) small + fast; avoids "dataset trap"
+ * - llms.txt per language folder + an English one at the root (linked in HTML head + footer)
+ * - locations.tsv (title<TAB>url<TAB>medal) small + fast; avoids "dataset trap"
+ *
+ * Validation (scripts/lib/validate.mjs, schema/building.schema.json):
+ * - hard errors (schema, duplicate id, malformed url, id/key mismatch) stop the build
+ * - quality.json + quality.html list soft issues (fallback titles, missing thumbnails, ...)
+ *
+ * History (scripts/lib/history.mjs): changes.html per language lists what every crawl in
+ * HISTORY added, changed (per field), removed (tombstones) or brought back
+ *
+ * Duplicate venues (scripts/lib/duplicates.mjs):
+ * - records with the same postal line and a similar title (a shared image raises the score)
+ *   are listed as candidates in DUPLICATES_REVIEW, with a suggested merge
+ * - MERGES (curated) folds records into one primary id; each merged key keeps a redirect
+ *   stub (loc-<key>.html per language, loc-<key>.ttl with owl:sameAs) to the survivor
  *
- * Optional (OFF by default):
- * - buildings.json, buildings.jsonl (only if EXPORT_JSON=true)
+ * Link check (ON with CHECK_LINKS=true, see scripts/lib/links.mjs):
+ * - requests every original url and thumbnail (bounded concurrency, cache, retries) before
+ *   rendering; dead or redirected urls get a "link may be outdated" note on their card,
+ *   permanent redirects update `canonical`, dead thumbnails are not hotlinked
+ * - link-health.json lists every url/image that is not ok and the records using it
+ *
+ * Discovery (ON when SITE_URL is set, see scripts/lib/discovery.mjs):
+ * - sitemap.xml (every generated HTML page), robots.txt (points to the sitemap; only when
+ *   SITE_URL is a host root, crawlers ignore it anywhere else)
+ * - feed.atom (locations new since the previous build, via FEED_MANIFEST)
+ *
+ * Incremental builds (scripts/lib/incremental.mjs): build-manifest.json keeps a content hash
+ * per output; unchanged files are not rewritten, outputs the build no longer produces are
+ * deleted; a file whose disk copy no longer matches its hash is written again.
+ * CHANGED_ONLY=true prints only the "A|M|D<TAB>path" list of this build's changes, for a
+ * deploy step to sync
+ *
+ * Optional exports (OFF by default), chosen by name in EXPORTS (scripts/lib/exporters.mjs):
+ * - json (buildings.json/.jsonl), csv, geocsv, sqlite, datapackage; each one is listed in
+ *   llms.txt and dataset.ttl with what it contains
  *
  * Run:
  *   node scripts/build.mjs
+ *   node scripts/cli.mjs build [flags]   (same settings as flags / config file)
  *
  * Env:
- *   DATA=data/buildings.json
+ *   DATA=data/buildings.json (comma-separated list = merge, in that order)
  *   DIST=dist
+ *   HISTORY=data/history.json  (written by extract.mjs; read for changes.html)
  *   PAGE_SIZE=100
- *   EXPORT_JSON=false|true   (default false)
+ *   EXPORTS=                 (comma-separated: json, csv, geocsv, sqlite, datapackage)
+ *   EXPORT_JSON=false|true   (default false; same as adding json to EXPORTS)
+ *   DATA_LICENSE=            (SPDX id for datapackage.json; default: the source sites' terms)
+ *   MIRROR_IMAGES=false|true (default false)
+ *   IMAGE_CACHE=data/image-cache
+ *   IMAGE_CONCURRENCY=4
+ *   SITE_URL=                (absolute URL of the published dist/; enables discovery files)
+ *   FEED_SIZE=50
+ *   FEED_MANIFEST=data/feed-manifest.json
+ *   LDES=false|true          (default false)
+ *   LDES_STATE=data/ldes-state.json
+ *   LDES_FRAGMENT_SIZE=100
+ *   MERGES=data/merges.json  (curated merges of duplicate venues; see lib/duplicates.mjs)
+ *   DUPLICATES_REVIEW=data/duplicates.json
+ *   DUPLICATE_THRESHOLD=0.8  (title similarity 0..1 for a candidate pair)
+ *   CHECK_LINKS=false|true   (default false)
+ *   LINK_CACHE=data/link-cache.json
+ *   LINK_CONCURRENCY=4
+ *   LINK_RETRIES=2
+ *   LINK_MAX_AGE=24          (hours a cached result is reused; errors are always rechecked)
+ *   TEMPLATES=               (folder with layout.mjs / page.mjs / pager.mjs / card.mjs overrides)
+ *   THEME=                   (folder copied over theme/ into dist/)
+ *   CHANGED_ONLY=false|true  (print only the added/modified/deleted files)
+ *   DRY_RUN=false|true       (validate + render, but leave dist/ and the caches untouched)
  */
 
 import fs from "node:fs/promises";
 import path from "node:path";
+import { pathToFileURL } from "node:url";
+import { parseAddress } from "./lib/address.mjs";
+import { envNumber } from "./lib/config.mjs";
+import {
+  absolute,
+  atomFeed,
+  discoveryConfig,
+  robotsTxt,
+  sitemapXml,
+  updateFeedManifest,
+} from "./lib/discovery.mjs";
+import { belgiumMapSvg, geocode, loadCentroids, toGeoJson } from "./lib/geo.mjs";
+import { applyMerges, duplicatesConfig, findDuplicates, readMerges, writeDuplicateReview } from "./lib/duplicates.mjs";
+import { readHistory } from "./lib/history.mjs";
+import { mirroredFiles, mirrorImages, PLACEHOLDER, placeholderSvg, VARIANTS } from "./lib/images.mjs";
+import {
+  MANIFEST_FILE,
+  pruneOutputs,
+  readBuildManifest,
+  writeBuildManifest,
+  writeIfChanged,
+} from "./lib/incremental.mjs";
+import { checkLinks, LINK_STATUSES, linkCheckConfig, linkOutdated, linkReport, markLinkHealth } from "./lib/links.mjs";
+import { ldesConfig, ldesFiles, updateLdesState } from "./lib/ldes.mjs";
+import { DEFAULT_LANG, LANGUAGES, llmsTxt, translator } from "./lib/i18n.mjs";
+import { loadSchema, logValidation, validateBuildings, ValidationError } from "./lib/validate.mjs";
+import { DEFAULT_PROFILE, getProfile, recordKey } from "./lib/profiles.mjs";
+import { searchIndexFiles, titlePrefixGroups } from "./lib/search.mjs";
+import { fileKey, slugify } from "./lib/slug.mjs";
+import { loadTemplates, themeFiles } from "./lib/templates.mjs";
+import { exportersFor, exportNames } from "./lib/exporters.mjs";
+import { byMunicipality, byRecent, byTitle, LETTERS, letterOf, letterPages } from "./lib/order.mjs";
+import {
+  datasetTurtle,
+  itemListJsonLd,
+  jsonLdScript,
+  locationResource,
+  mergedTurtle,
+  placeJsonLd,
+  placeTurtle,
+} from "./lib/linked-data.mjs";
 
-const CFG = {
-  dataPath: process.env.DATA || "data/buildings.json",
-  dist: process.env.DIST || "dist",
-  pageSize: Number(process.env.PAGE_SIZE || "100"),
-  exportJson: String(process.env.EXPORT_JSON || "false").toLowerCase() === "true",
-};
+export function buildConfig(env = process.env) {
+  return {
+    dataPath: env.DATA || "data/buildings.json",
+    dist: env.DIST || "dist",
+    historyPath: env.HISTORY || "data/history.json",
+    pageSize: envNumber(env, "PAGE_SIZE", 100),
+    exports: exportNames(env),
+    license: env.DATA_LICENSE || null,
+    mirrorImages: String(env.MIRROR_IMAGES || "false").toLowerCase() === "true",
+    imageCache: env.IMAGE_CACHE || "data/image-cache",
+    imageConcurrency: envNumber(env, "IMAGE_CONCURRENCY", 4),
+    discovery: discoveryConfig(env),
+    ldes: ldesConfig(env),
+    links: linkCheckConfig(env),
+    duplicates: duplicatesConfig(env),
+    templatesDir: env.TEMPLATES || null,
+    themeDir: env.THEME || null,
+    changedOnly: String(env.CHANGED_ONLY || "false").toLowerCase() === "true",
+    dryRun: String(env.DRY_RUN || "false").toLowerCase() === "true",
+  };
+}
+
+// Settings of the current run (replaced by build(cfg))
+let CFG = buildConfig(process.env);
 
 function escapeHtml(s) {
   if (s == null) return "";
@@ -45,6 +193,27 @@ async function ensureDir(p) {
   await fs.mkdir(p, { recursive: true });
 }
 
+// Every file written under dist/ (relative paths), in write order
+const written = [];
+// build-manifest.json of the previous build (null = full build), and this build's outputs
+let PREVIOUS = null;
+const OUTPUTS = {};
+const CHANGES = { added: [], modified: [] };
+
+// Profiles of the sources in this build (footer, dataset.ttl)
+let SOURCES = [getProfile(DEFAULT_PROFILE)];
+// Templates of the current build (built-in + TEMPLATES overrides)
+let TEMPLATES = null;
+
+// `content`: string, Buffer or (async) iterable of strings (written chunk by chunk, see lib/incremental.mjs)
+async function writeDist(rel, content) {
+  written.push(rel);
+  const prev = PREVIOUS?.files[rel];
+  const { hash, size, changed } = await writeIfChanged(path.join(CFG.dist, rel), content, prev, { dryRun: CFG.dryRun });
+  OUTPUTS[rel] = { hash, size };
+  if (changed) CHANGES[prev ? "modified" : "added"].push(rel);
+}
+
 function chunk(arr, size) {
   const out = [];
   for (let i = 0; i < arr.length; i += size) out.push(arr.slice(i, i + size));
@@ -55,80 +224,641 @@ function pageFilename(pageIndex) {
   return pageIndex === 0 ? "index.html" : `page-${pageIndex + 1}.html`;
 }
 
-function layout({ title, body }) {
-  return `<!doctype html>
-<html lang="nl">
-<head>
-  <meta charset="utf-8" />
-  <meta name="viewport" content="width=device-width, initial-scale=1" />
-  <title>${escapeHtml(title)}</title>
-  <link rel="stylesheet" href="./style.css" />
-  <link rel="alternate" type="text/plain" href="./llms.txt" title="LLM instructions" />
-</head>
-<body>
-  <header class="wrap">
-    <div class="brand">
-      <a href="./index.html" class="brand__link">IedereenOveral — Static index</a>
-      <div class="brand__sub">JS-free index with persistent links to the original pages.</div>
-    </div>
-  </header>
-  <main class="wrap">
-    ${body}
-  </main>
-  <footer class="wrap footer">
-    <div>
-      Agent guide: <a href="./llms.txt">llms.txt</a> · Quick map: <a href="./locations.tsv">locations.tsv</a> ·
-      Source of truth: <a href="https://iedereen.overal.info/" rel="noopener noreferrer">iedereen.overal.info</a>
-    </div>
-  </footer>
-</body>
-</html>`;
-}
-
-function pager({ pageIndex, pageCount }) {
-  const prevFile = pageIndex > 0 ? pageFilename(pageIndex - 1) : null;
-  const nextFile = pageIndex < pageCount - 1 ? pageFilename(pageIndex + 1) : null;
-
-  return `<nav class="pager" aria-label="Pagination">
-    <div class="pager__left">
-      ${
-        prevFile
-          ? `<a class="btn" href="./${prevFile}">← Previous</a>`
-          : `<span class="btn btn--disabled">← Previous</span>`
-      }
-    </div>
-    <div class="pager__mid">Page ${pageIndex + 1} / ${pageCount}</div>
-    <div class="pager__right">
-      ${
-        nextFile
-          ? `<a class="btn" href="./${nextFile}">Next →</a>`
-          : `<span class="btn btn--disabled">Next →</span>`
-      }
-    </div>
+// Flat filename for page N of a grouped page set: <base>.html, <base>-2.html, ...
+function groupPageFilename(base, pageIndex) {
+  return pageIndex === 0 ? `${base}.html` : `${base}-${pageIndex + 1}.html`;
+}
+
+// Older data files predate the source/address/geo fields; derive them like extract.mjs does.
+function withDerivedFields(b, centroids) {
+  if (!b || typeof b !== "object") return b;
+  const withSource = b.source ? b : { ...b, source: DEFAULT_PROFILE };
+  const withAddress =
+    withSource.addressIssue !== undefined ? withSource : { ...withSource, ...parseAddress(withSource.description) };
+  return withAddress.precision !== undefined ? withAddress : { ...withAddress, ...geocode(withAddress, centroids) };
+}
+
+// Profile of a record's source; unknown sources get a stand-in from the url
+function sourceOf(b) {
+  const known = getProfile(b.source);
+  if (known) return known;
+  const origin = new URL(b.url).origin;
+  return { name: b.source, label: new URL(b.url).host, homepage: `${origin}/` };
+}
+
+function sourcesOf(buildings) {
+  if (!Array.isArray(buildings)) return [getProfile(DEFAULT_PROFILE)];
+  const byName = new Map();
+  for (const b of buildings) {
+    if (!b?.source || byName.has(b.source)) continue;
+    try {
+      byName.set(b.source, sourceOf(b));
+    } catch {} // invalid url: validation reports it
+  }
+  return byName.size ? [...byName.values()] : [getProfile(DEFAULT_PROFILE)];
+}
+
+function provinceLabel(b) {
+  return b.province || b.region || null;
+}
+
+function provinceBase(b) {
+  return `province-${slugify(provinceLabel(b))}`;
+}
+
+function municipalityBase(b) {
+  return `municipality-${b.postalCode}-${slugify(b.municipality)}`;
+}
+
+function locationPage(b) {
+  return `loc-${fileKey(b)}.html`;
+}
+
+// Location page in the default language, relative to dist/ (GeoJSON, feed)
+function defaultLocationPage(b) {
+  return `${DEFAULT_LANG}/${locationPage(b)}`;
+}
+
+function groupBy(items, keyFn) {
+  const m = new Map();
+  for (const it of items) {
+    const k = keyFn(it);
+    if (k == null) continue;
+    if (!m.has(k)) m.set(k, []);
+    m.get(k).push(it);
+  }
+  return m;
+}
+
+/**
+ * Render context for one language tree (dist/<lang>/):
+ * { lang, t, root } where `root` is the path back to dist/ for shared files
+ * (style.css, img/, *.ttl, locations.*). Pages of the same language link to
+ * each other with "./".
+ */
+function pageContext(lang, root = "../") {
+  return { lang, t: translator(lang), root };
+}
+
+function dayName(t, day) {
+  const key = `day.${String(day).toLowerCase()}`;
+  const label = t(key);
+  return label === key ? day : label;
+}
+
+// hreflang alternates + switcher: the same file name exists in every language folder
+function languageLinks(ctx, file) {
+  const alternates = LANGUAGES.map(
+    ({ code }) => `<link rel="alternate" hreflang="${code}" href="${ctx.root}${code}/${escapeHtml(file)}" />`
+  );
+  const fallback = file === "index.html" ? `${ctx.root}index.html` : `${ctx.root}${DEFAULT_LANG}/${escapeHtml(file)}`;
+  alternates.push(`<link rel="alternate" hreflang="x-default" href="${fallback}" />`);
+
+  const switcher = LANGUAGES.map(({ code, name }) =>
+    code === ctx.lang && !ctx.chooser
+      ? `<span lang="${code}" aria-current="page">${escapeHtml(name)}</span>`
+      : `<a lang="${code}" hreflang="${code}" href="${ctx.root}${code}/${escapeHtml(file)}">${escapeHtml(name)}</a>`
+  );
+  return {
+    head: alternates.join("\n  "),
+    nav: `<nav class="langs" aria-label="${escapeHtml(ctx.t("nav.language"))}">${switcher.join(" · ")}</nav>`,
+  };
+}
+
+// Search box in the header; search.js answers in place, without it the form opens search.html
+function searchForm(ctx) {
+  const { t } = ctx;
+  return `<form class="search" role="search" action="./search.html" method="get" data-root="${ctx.root}"
+      data-results="search-results" data-count="${escapeHtml(t("search.count", { count: "{count}" }))}"
+      data-none="${escapeHtml(t("search.none"))}">
+      <label for="search-q">${escapeHtml(t("search.label"))}</label>
+      <input id="search-q" type="search" name="q" placeholder="${escapeHtml(t("search.placeholder"))}" />
+      <button type="submit" class="btn">${escapeHtml(t("search.button"))}</button>
+      <div id="search-results" class="search__results" aria-live="polite" hidden></div>
+    </form>`;
+}
+
+// What every template gets next to its view
+function templateHelpers(ctx) {
+  return { t: ctx.t, escapeHtml, lang: ctx.lang };
+}
+
+function layout(ctx, { file, title, body, jsonLd = null, head = "" }) {
+  const langs = languageLinks(ctx, file);
+  const view = {
+    lang: ctx.lang,
+    title,
+    root: ctx.root,
+    feed: Boolean(CFG.discovery.siteUrl),
+    alternates: langs.head,
+    head,
+    jsonLd: jsonLd ? jsonLdScript(jsonLd) : "",
+    languageNav: langs.nav,
+    search: ctx.chooser ? "" : searchForm(ctx),
+    body,
+    sources: SOURCES,
+  };
+  return TEMPLATES.layout(view, templateHelpers(ctx));
+}
+
+function pager(ctx, { pageIndex, pageCount, fileFor = pageFilename }) {
+  const view = {
+    page: pageIndex + 1,
+    count: pageCount,
+    prevHref: pageIndex > 0 ? `./${fileFor(pageIndex - 1)}` : null,
+    nextHref: pageIndex < pageCount - 1 ? `./${fileFor(pageIndex + 1)}` : null,
+  };
+  return TEMPLATES.pager(view, templateHelpers(ctx));
+}
+
+const MEDALS = ["gold", "silver", "bronze"];
+
+function medalBadge(ctx, medal) {
+  if (!MEDALS.includes(medal)) return "";
+  return `<span class="badge badge--${medal}">${escapeHtml(ctx.t(`medal.${medal}`))}</span>`;
+}
+
+/**
+ * <img> for a location: mirrored variants (srcset + size) when available,
+ * the placeholder when mirroring failed, else the hotlinked original (none
+ * when the link check found it dead).
+ */
+function imageTag(ctx, b, { cls, variant, sizes, lazy }) {
+  const alt = escapeHtml(b.title || b.key || b.url);
+  const loading = lazy ? ` loading="lazy"` : "";
+  const local = b.localImage;
+  const img = `${ctx.root}img/`;
+
+  if (local?.variants) {
+    const v = local.variants[variant];
+    // small originals are never upscaled, so variants can share a width: list each width once
+    const byWidth = new Map(Object.keys(VARIANTS).map((name) => [local.variants[name].width, local.variants[name]]));
+    const srcset = [...byWidth.values()].map((x) => `${img}${escapeHtml(x.file)} ${x.width}w`).join(", ");
+    return `<img class="${cls}" src="${img}${escapeHtml(v.file)}" srcset="${srcset}" sizes="${sizes}" width="${
+      v.width
+    }" height="${v.height}" alt="${alt}"${loading} />`;
+  }
+  if (local?.placeholder) {
+    return `<img class="${cls}" src="${img}${PLACEHOLDER.file}" width="${PLACEHOLDER.width}" height="${
+      PLACEHOLDER.height
+    }" alt=""${loading} />`;
+  }
+
+  const imgSrc = b.image && /^https?:\/\//i.test(b.image) ? b.image : null;
+  if (!imgSrc || b.linkHealth?.image === "dead") return "";
+  return `<img class="${cls}" src="${escapeHtml(imgSrc)}" alt="${alt}"${loading} referrerpolicy="no-referrer" />`;
+}
+
+function card(ctx, b, { id = null } = {}) {
+  const view = {
+    id,
+    href: `./${locationPage(b)}`,
+    title: b.title || b.key || b.url,
+    description: b.description || null,
+    url: b.url,
+    image: imageTag(ctx, b, {
+      cls: "card__img",
+      variant: "card",
+      sizes: "(min-width: 600px) 360px, 100vw",
+      lazy: true,
+    }),
+    medal: medalBadge(ctx, b.medal),
+    note: linkOutdated(b) ? ctx.t("link.outdated") : null,
+  };
+  return TEMPLATES.card(view, templateHelpers(ctx));
+}
+
+function factRow(label, value) {
+  if (value == null || value === "") return "";
+  return `<tr><th scope="row">${escapeHtml(label)}</th><td>${value}</td></tr>`;
+}
+
+function linkList(items, hrefFor) {
+  if (!items?.length) return "";
+  return items.map((v) => `<a href="${escapeHtml(hrefFor(v))}">${escapeHtml(v)}</a>`).join(", ");
+}
+
+function detailsSections(ctx, d) {
+  if (!d) return "";
+  const { t } = ctx;
+  const out = [];
+
+  const contact = [
+    factRow(t("loc.address"), d.address?.full ? escapeHtml(d.address.full) : ""),
+    factRow(t("loc.phone"), linkList(d.contact?.phone, (v) => `tel:${v.replace(/\s+/g, "")}`)),
+    factRow(t("loc.email"), linkList(d.contact?.email, (v) => `mailto:${v}`)),
+    factRow(t("loc.website"), linkList(d.contact?.website, (v) => v)),
+  ].join("");
+  if (contact) out.push(`<h2>${t("loc.contact")}</h2><table class="facts">${contact}</table>`);
+
+  if (d.openingHours?.length) {
+    const rows = d.openingHours.map((o) => factRow(dayName(t, o.day), escapeHtml(o.hours))).join("");
+    out.push(`<h2>${t("loc.openingHours")}</h2><table class="facts">${rows}</table>`);
+  }
+
+  if (d.accessibility?.length) {
+    const bySection = groupBy(d.accessibility, (a) => a.section || "");
+    const parts = [...bySection].map(
+      ([section, rows]) => `${section ? `<h3>${escapeHtml(section)}</h3>` : ""}
+        <table class="facts">${rows.map((a) => factRow(a.label, escapeHtml(a.value))).join("")}</table>`
+    );
+    out.push(`<h2>${t("loc.accessibility")}</h2>${parts.join("\n")}`);
+  }
+
+  if (d.fetchedAt) out.push(`<p class="hint">${t("loc.detailsFetched", { date: escapeHtml(d.fetchedAt) })}</p>`);
+  return out.join("\n");
+}
+
+function locationNav(ctx, prev, next, base, name) {
+  const { t } = ctx;
+  const link = (b, label) =>
+    b
+      ? `<a class="btn" href="./${escapeHtml(locationPage(b))}">${label}</a>`
+      : `<span class="btn btn--disabled">${label}</span>`;
+  const label = name ? t("loc.navLabel", { name }) : t("common.locations");
+  return `<nav class="pager" aria-label="${escapeHtml(label)}">
+    <div class="pager__left">${link(prev, t("pager.prev"))}</div>
+    <div class="pager__mid">${base ? `<a href="./${escapeHtml(base)}.html">${escapeHtml(name)}</a>` : ""}</div>
+    <div class="pager__right">${link(next, t("pager.next"))}</div>
   </nav>`;
 }
 
-function card(b) {
+// rel="canonical" for `file` of this language folder: needs an absolute URL, so only with SITE_URL
+function canonicalLink(ctx, file) {
+  const { siteUrl } = CFG.discovery;
+  return siteUrl ? `<link rel="canonical" href="${escapeHtml(absolute(siteUrl, `${ctx.lang}/${file}`))}" />` : "";
+}
+
+// Keys folded into this location (lib/duplicates.mjs), each linking to its original page
+function mergedFromList(mergedFrom) {
+  if (!mergedFrom?.length) return "";
+  const link = (m) => `<a href="${escapeHtml(m.url)}" rel="noopener noreferrer">${escapeHtml(m.title || m.key)}</a>`;
+  return mergedFrom.map((m) => `${link(m)} (${escapeHtml(m.id)})`).join(", ");
+}
+
+/**
+ * loc-<key>.html: everything we hold about one location.
+ * `prev`/`next` are neighbours within the same municipality (null at the ends).
+ */
+function locationPageHtml(ctx, b, { prev, next }) {
+  const { t, root } = ctx;
   const title = b.title || b.key || b.url;
-  const desc = b.description ? escapeHtml(b.description) : "";
-  const imgSrc = b.image && /^https?:\/\//i.test(b.image) ? b.image : null;
+  const placed = !b.addressIssue;
+  const municipality = placed ? `${b.postalCode} ${b.municipality}` : null;
+  const crumbs = [
+    `<a href="./index.html">${t("common.locations")}</a>`,
+    placed ? `<a href="./${provinceBase(b)}.html">${escapeHtml(t.place(provinceLabel(b)))}</a>` : null,
+    placed ? `<a href="./${municipalityBase(b)}.html">${escapeHtml(municipality)}</a>` : null,
+  ].filter(Boolean);
+
+  const ttl = `${root}${locationResource(b)}`;
+  const source = sourceOf(b);
+  const facts = [
+    factRow(t("loc.medal"), medalBadge(ctx, b.medal)),
+    factRow(t("loc.postalLine"), escapeHtml(b.postalLine || b.description)),
+    factRow(t("loc.municipality"), placed ? escapeHtml(b.municipality) : ""),
+    factRow(t("loc.postalCode"), placed ? escapeHtml(b.postalCode) : ""),
+    factRow(t("loc.province"), escapeHtml(t.place(b.province))),
+    factRow(t("loc.region"), escapeHtml(t.place(b.region))),
+    factRow(t("loc.id"), escapeHtml(b.id)),
+    factRow(t("loc.key"), escapeHtml(b.key)),
+    factRow(t("loc.source"), `<a href="${escapeHtml(source.homepage)}">${escapeHtml(source.label)}</a>`),
+    factRow(t("loc.original"), `<a href="${escapeHtml(b.url)}" rel="noopener noreferrer">${escapeHtml(b.url)}</a>`),
+    factRow(t("loc.linkedData"), `<a href="${escapeHtml(ttl)}">${escapeHtml(locationResource(b))}</a>`),
+    factRow(t("loc.mergedFrom"), mergedFromList(b.mergedFrom)),
+  ].join("");
 
-  const img = imgSrc
-    ? `<img class="card__img" src="${escapeHtml(imgSrc)}" alt="${escapeHtml(
-        title
-      )}" loading="lazy" referrerpolicy="no-referrer" />`
-    : "";
+  const nav = placed ? locationNav(ctx, prev, next, municipalityBase(b), municipality) : "";
+
+  const body = `
+      <nav class="crumbs" aria-label="${escapeHtml(t("loc.breadcrumb"))}">${crumbs.join(" › ")}</nav>
+      ${nav}
+      <article class="location">
+        <h1>${escapeHtml(title)}</h1>
+        ${imageTag(ctx, b, { cls: "location__img", variant: "large", sizes: "(min-width: 1100px) 1068px, 100vw" })}
+        <p><a class="btn" href="${escapeHtml(b.canonical || b.url)}" rel="noopener noreferrer">${t("loc.viewOriginal", {
+          site: escapeHtml(source.label),
+        })}</a></p>
+        ${linkOutdated(b) ? `<p class="note">${t("link.outdated")} (${t(`link.${b.linkHealth.url}`)})</p>` : ""}
+        <table class="facts">${facts}</table>
+        ${detailsSections(ctx, b.details)}
+      </article>
+      ${nav}
+    `;
+
+  return layout(ctx, {
+    file: locationPage(b),
+    title: `${title} — ${t("common.locations")}`,
+    body,
+    jsonLd: { "@context": "https://schema.org", ...placeJsonLd(b, { root }) },
+    head: `<link rel="alternate" type="text/turtle" href="${escapeHtml(ttl)}" />
+  ${canonicalLink(ctx, locationPage(b))}`,
+  });
+}
 
-  return `<article class="card">
-    <a class="card__inner" href="${escapeHtml(b.url)}" rel="noopener noreferrer">
-      ${img}
-      <div class="card__body">
-        <h2 class="card__title">${escapeHtml(title)}</h2>
-        ${desc ? `<p class="card__desc">${desc}</p>` : ""}
-        <div class="card__meta">${escapeHtml(b.url)}</div>
-      </div>
-    </a>
-  </article>`;
+/**
+ * Write one paged set of card pages (the main index, an ordering or a place
+ * group) into the language folder. `nav` goes above the pager on every page,
+ * `anchors` (record -> id) marks jump targets. Returns the number of pages written.
+ */
+async function writeCardPages(ctx, { items, fileFor, heading, title, intro, nav = "", anchors = null }) {
+  const pages = chunk(items, CFG.pageSize);
+  const pageCount = pages.length;
+
+  for (let i = 0; i < pageCount; i++) {
+    const body = TEMPLATES.page(
+      {
+        heading,
+        intro,
+        nav,
+        pager: pager(ctx, { pageIndex: i, pageCount, fileFor }),
+        cards: pages[i].map((b) => card(ctx, b, { id: anchors?.get(b) })),
+      },
+      templateHelpers(ctx)
+    );
+
+    const html = layout(ctx, {
+      file: fileFor(i),
+      title: ctx.t("page.title", { title, page: i + 1 }),
+      body,
+      jsonLd: itemListJsonLd(pages[i], { name: title, offset: i * CFG.pageSize, root: ctx.root }),
+    });
+    await writeDist(`${ctx.lang}/${fileFor(i)}`, html);
+  }
+  return pageCount;
+}
+
+/**
+ * The card page sets over all records: the main index (extract order) and
+ * the other orderings. `base` names the flat files (index.html keeps page-N).
+ */
+const ORDERINGS = [
+  { name: "id", base: null },
+  { name: "az", base: "az", sort: (items, lang) => byTitle(items, lang) },
+  { name: "municipality", base: "by-municipality", sort: (items, lang) => byMunicipality(items, lang) },
+  { name: "recent", base: "recent", sort: (items) => byRecent(items) },
+];
+
+function orderingFile(o, pageIndex = 0) {
+  return o.base ? groupPageFilename(o.base, pageIndex) : pageFilename(pageIndex);
+}
+
+function orderNav(ctx, current) {
+  const { t } = ctx;
+  const links = ORDERINGS.map((o) =>
+    o.name === current
+      ? `<span aria-current="page">${escapeHtml(t(`order.${o.name}`))}</span>`
+      : `<a href="./${orderingFile(o)}">${escapeHtml(t(`order.${o.name}`))}</a>`
+  );
+  const label = escapeHtml(t("order.label"));
+  return `<nav class="orders" aria-label="${label}">${label}: ${links.join(" · ")}</nav>`;
+}
+
+// A–Z jump bar: each letter links to the card it starts with, on whichever page that is
+function azBar(ctx, firstPages, fileFor) {
+  const letters = LETTERS.map((l) => {
+    if (!firstPages.has(l)) return `<span class="az__off">${l}</span>`;
+    return `<a href="./${fileFor(firstPages.get(l))}#${azAnchor(l)}">${l}</a>`;
+  });
+  return `<nav class="az" aria-label="${escapeHtml(ctx.t("az.label"))}">${letters.join(" ")}</nav>`;
+}
+
+function azAnchor(letter) {
+  return letter === "#" ? "az-0" : `az-${letter.toLowerCase()}`;
+}
+
+function placesPage(ctx, buildings, unplaced) {
+  const { t } = ctx;
+  const byProvince = groupBy(buildings, provinceLabel);
+  const provinces = [...byProvince.keys()].sort((a, b) => t.place(a).localeCompare(t.place(b), ctx.lang));
+
+  const sections = provinces.map((prov) => {
+    const items = byProvince.get(prov);
+    const byMunicipality = groupBy(items, municipalityBase);
+    const municipalities = [...byMunicipality.values()]
+      .map((list) => list[0])
+      .sort((a, b) => a.municipality.localeCompare(b.municipality, "nl") || a.postalCode.localeCompare(b.postalCode));
+    const provLink = `<a href="./${provinceBase(items[0])}.html">${escapeHtml(t.place(prov))}</a>`;
+
+    return `<section class="places__group">
+        <h2>${provLink} <span class="count">(${items.length})</span></h2>
+        <ul class="places__list">
+          ${municipalities
+            .map(
+              (b) =>
+                `<li><a href="./${municipalityBase(b)}.html">${escapeHtml(b.postalCode)} ${escapeHtml(
+                  b.municipality
+                )}</a> <span class="count">(${byMunicipality.get(municipalityBase(b)).length})</span></li>`
+            )
+            .join("\n          ")}
+        </ul>
+      </section>`;
+  });
+
+  const body = `
+      <h1>${t("places.title")}</h1>
+      <p class="hint">
+        ${t("places.intro", { link: `<a href="./index.html">${t("places.index")}</a>` })}
+        ${unplaced ? t("places.unplaced", { count: unplaced }) : ""}
+      </p>
+      ${sections.join("\n")}
+    `;
+  return layout(ctx, { file: "places.html", title: t("places.title"), body });
+}
+
+/**
+ * quality.html. Rows link to the location page, except when the build stops on
+ * errors (then no location pages exist). Issue messages stay in English: they
+ * are the same text as in quality.json.
+ */
+function qualityPage(ctx, report, byIndex) {
+  const { t } = ctx;
+  const linkable = report.errors.length === 0;
+
+  const row = (x) => {
+    const b = byIndex(x.index);
+    const name = escapeHtml(x.key ?? `[${x.index}]`);
+    const label = b && linkable ? `<a href="./${escapeHtml(locationPage(b))}">${name}</a>` : name;
+    return `<tr><th scope="row">${label}</th><td lang="en">${escapeHtml(x.message)}</td></tr>`;
+  };
+
+  const section = (heading, list) => {
+    if (!list.length) return "";
+    const groups = [...groupBy(list, (x) => x.code)].map(
+      ([code, rows]) => `<h3>${escapeHtml(t(`quality.code.${code}`))} (${rows.length})</h3>
+        <table class="facts">${rows.map(row).join("\n")}</table>`
+    );
+    return `<h2>${escapeHtml(heading)} (${list.length})</h2>
+      ${groups.join("\n")}`;
+  };
+
+  const { summary } = report;
+  const body = `
+      <h1>${t("quality.title")}</h1>
+      <p class="hint">
+        ${t("quality.summary", summary)}
+        ${t("quality.machine")}: <a href="${ctx.root}quality.json">quality.json</a>.
+      </p>
+      ${section(t("quality.errors"), report.errors)}
+      ${section(t("quality.warnings"), report.warnings)}
+      ${summary.errors || summary.warnings ? "" : `<p>${t("quality.none")}</p>`}
+    `;
+  return layout(ctx, { file: "quality.html", title: `${t("common.locations")} — ${t("quality.title")}`, body });
+}
+
+/**
+ * changes.html: what each crawl in the history store (HISTORY) added, changed,
+ * removed or brought back, newest first. Locations that are still listed link
+ * to their page; tombstones keep their last known title.
+ */
+function changesPage(ctx, history, byKey) {
+  const { t } = ctx;
+  const day = (at) => escapeHtml(at.slice(0, 10));
+  const value = (v) => (v == null ? "—" : `<code>${escapeHtml(v)}</code>`);
+  const name = (key) => {
+    const b = byKey.get(key);
+    const title = escapeHtml(history.locations[key]?.values.title || key);
+    return b ? `<a href="./${escapeHtml(locationPage(b))}">${title}</a>` : title;
+  };
+
+  const list = (heading, keys, extra = () => "") => {
+    if (!keys.length) return "";
+    return `<h3>${escapeHtml(heading)} (${keys.length})</h3>
+        <ul>${keys.map((key) => `<li>${name(key)}${extra(key)}</li>`).join("\n")}</ul>`;
+  };
+
+  const changedTable = (crawl) => {
+    if (!crawl.changed.length) return "";
+    const rows = crawl.changed.map((key) => {
+      const diffs = history.locations[key].changes
+        .filter((c) => c.at === crawl.at)
+        .map((c) => `<code>${escapeHtml(c.field)}</code>: ${value(c.from)} → ${value(c.to)}`);
+      return `<tr><th scope="row">${name(key)}</th><td>${diffs.join("<br />")}</td></tr>`;
+    });
+    return `<h3>${escapeHtml(t("changes.changed"))} (${rows.length})</h3>
+        <table class="facts changes">${rows.join("\n")}</table>`;
+  };
+
+  const crawlSection = (crawl) => {
+    const notes = [
+      t("changes.crawl", { records: crawl.records, sources: escapeHtml(crawl.sources.join(", ")) }),
+      crawl.baseline ? t("changes.baseline") : "",
+      crawl.partial ? t("changes.partial") : "",
+    ];
+    const lastSeen = (key) => ` — ${t("changes.lastSeen", { date: day(history.locations[key].lastSeen) })}`;
+    return `<h2>${day(crawl.at)} <small>${escapeHtml(crawl.at.slice(11, 16))} UTC</small></h2>
+      <p class="hint">${notes.filter(Boolean).join(" ")}</p>
+      ${crawl.baseline ? "" : list(t("changes.added"), crawl.added)}
+      ${changedTable(crawl)}
+      ${list(t("changes.removed"), crawl.removed, lastSeen)}
+      ${list(t("changes.restored"), crawl.restored)}`;
+  };
+
+  const crawls = [...(history?.crawls || [])].reverse();
+  const body = `
+      <h1>${t("changes.title")}</h1>
+      <p class="hint">${t("changes.intro")}</p>
+      ${crawls.length ? crawls.map(crawlSection).join("\n") : `<p>${t("changes.none")}</p>`}
+    `;
+  return layout(ctx, { file: "changes.html", title: `${t("common.locations")} — ${t("changes.title")}`, body });
+}
+
+function mapPage(ctx, placed) {
+  const { t } = ctx;
+  const markers = [...groupBy(placed, municipalityBase).entries()]
+    .map(([base, items]) => ({ base, items, at: items.find((b) => b.lat != null && b.lon != null) }))
+    .filter((g) => g.at)
+    .map(({ base, items, at }) => ({
+      lat: at.lat,
+      lon: at.lon,
+      label: `${at.postalCode} ${at.municipality}`,
+      href: `./${base}.html`,
+      count: items.length,
+    }));
+
+  const body = `
+      <h1>${t("map.title")}</h1>
+      <p class="hint">
+        ${t("map.intro")}
+        ${t("map.alsoAs")} <a href="${ctx.root}locations.geojson">locations.geojson</a> ·
+        ${t("map.textList")}: <a href="./places.html">places.html</a>
+      </p>
+      <figure class="map__wrap">
+        ${belgiumMapSvg(markers, { title: t("map.svgTitle"), escape: escapeHtml })}
+      </figure>
+    `;
+  return layout(ctx, { file: "map.html", title: t("map.title"), body });
+}
+
+/**
+ * loc-<key>.html stub for a record merged into `to` (lib/duplicates.mjs):
+ * sends visitors and crawlers on to the surviving location page.
+ */
+function redirectPage(ctx, from, to) {
+  const { t } = ctx;
+  const target = `./${locationPage(to)}`;
+  const link = `<a href="${escapeHtml(target)}">${escapeHtml(to.title || to.key)}</a>`;
+  const body = `
+      <h1>${escapeHtml(from.title || from.key)}</h1>
+      <p>${t("redirect.moved", { title: link })}</p>
+    `;
+  return layout(ctx, {
+    file: locationPage(from),
+    title: `${t("redirect.title")} — ${t("common.locations")}`,
+    body,
+    head: `<meta http-equiv="refresh" content="0; url=${escapeHtml(target)}" />
+  <meta name="robots" content="noindex" />
+  ${canonicalLink(ctx, locationPage(to))}`,
+  });
+}
+
+/**
+ * dist/index.html: language chooser (no automatic redirect), also the
+ * x-default alternate of every language's index.html.
+ */
+function chooserPage() {
+  const ctx = { ...pageContext("en", "./"), chooser: true };
+  const items = LANGUAGES.map(
+    ({ code, name }) => `<li lang="${code}">
+          <a hreflang="${code}" href="./${code}/index.html">${escapeHtml(name)}</a>
+          <span class="count">${escapeHtml(translator(code)("chooser.title"))}</span>
+        </li>`
+  );
+  const body = `
+      <h1>${escapeHtml(ctx.t("site.title"))}</h1>
+      <ul class="chooser">
+        ${items.join("\n        ")}
+      </ul>
+    `;
+  return layout(ctx, { file: "index.html", title: ctx.t("site.title"), body });
+}
+
+function searchPageFile(prefix, pageIndex = 0) {
+  return groupPageFilename(`search-${prefix}`, pageIndex);
+}
+
+/**
+ * search.html: the static side of the search box. Title-word prefixes grouped
+ * by their first character, each linking its result pages; places link the
+ * municipality pages.
+ */
+function searchPage(ctx, prefixes) {
+  const { t } = ctx;
+  const byFirst = groupBy([...prefixes.keys()], (p) => p[0]);
+  const rows = [...byFirst].map(
+    ([first, list]) => `<li><strong>${escapeHtml(first.toUpperCase())}</strong> ${list
+      .map((p) => `<a href="./${searchPageFile(p)}">${escapeHtml(p)}</a>`)
+      .join(" ")}</li>`
+  );
+  const body = `
+      <h1>${escapeHtml(t("search.title"))}</h1>
+      <p class="hint">${t("search.intro", { link: `<a href="./places.html">places.html</a>` })}</p>
+      <h2>${escapeHtml(t("search.prefixes"))}</h2>
+      <ul class="search__prefixes">
+        ${rows.join("\n        ")}
+      </ul>
+    `;
+  return layout(ctx, { file: "search.html", title: `${t("search.title")} — ${t("common.locations")}`, body });
 }
 
 function tsvEscape(s) {
@@ -136,111 +866,414 @@ function tsvEscape(s) {
   return String(s ?? "").replace(/\t/g, " ").replace(/\r?\n/g, " ").trim();
 }
 
-async function main() {
-  const raw = await fs.readFile(CFG.dataPath, "utf8");
-  const buildings = JSON.parse(raw);
-
-  await fs.rm(CFG.dist, { recursive: true, force: true });
-  await ensureDir(CFG.dist);
-
-  // CSS
-  await fs.writeFile(
-    path.join(CFG.dist, "style.css"),
-    `
-:root { color-scheme: light; }
-body { margin: 0; font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif; line-height: 1.45; }
-.wrap { max-width: 1100px; margin: 0 auto; padding: 16px; }
-.brand__link { font-weight: 700; text-decoration: none; color: inherit; }
-.brand__sub { color: #555; font-size: 0.95rem; margin-top: 4px; }
-.grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(280px, 1fr)); gap: 12px; }
-.card { border: 1px solid #e6e6e6; border-radius: 12px; overflow: hidden; background: #fff; }
-.card__inner { display: block; color: inherit; text-decoration: none; }
-.card__img { width: 100%; height: 160px; object-fit: cover; background: #f3f3f3; display: block; }
-.card__body { padding: 12px; }
-.card__title { margin: 0 0 6px; font-size: 1.05rem; }
-.card__desc { margin: 0 0 8px; color: #333; font-size: 0.95rem; }
-.card__meta { color: #666; font-size: 0.78rem; word-break: break-all; }
-.pager { display: grid; grid-template-columns: 1fr auto 1fr; align-items: center; gap: 8px; margin: 16px 0; }
-.pager__left { justify-self: start; }
-.pager__right { justify-self: end; }
-.btn { display: inline-block; padding: 8px 10px; border-radius: 10px; border: 1px solid #ddd; text-decoration: none; color: inherit; background: #fafafa; }
-.btn--disabled { opacity: 0.45; cursor: not-allowed; }
-.footer { color: #666; font-size: 0.9rem; border-top: 1px solid #eee; margin-top: 20px; }
-.hint { color: #555; margin-top: 6px; }
-    `.trim(),
-    "utf8"
-  );
+/**
+ * All HTML pages of one language folder. Returns page counts for the summary.
+ */
+async function writeLanguage(ctx, { site, placed, unplaced, neighbours, history, prefixes }) {
+  const { t } = ctx;
+  const common = t("common.locations");
 
-  // llms.txt (explicitly tells agents not to waste time on exports)
-  const llmsTxt = `# IedereenOveral — Static index
+  const pageCount = await writeCardPages(ctx, {
+    items: site,
+    fileFor: pageFilename,
+    heading: common,
+    title: common,
+    nav: orderNav(ctx, "id"),
+    intro: `${t("index.intro", { total: site.length })}
+        ${t("index.browse")}: <a href="./places.html">places.html</a> · <a href="./map.html">${t("common.map")}</a> ·
+        ${t("search.title")}: <a href="./search.html">search.html</a> ·
+        ${t("common.dataQuality")}: <a href="./quality.html">quality.html</a> ·
+        ${t("changes.title")}: <a href="./changes.html">changes.html</a> ·
+        ${t("footer.agentGuide")}: <a href="./llms.txt">llms.txt</a> ·
+        ${t("footer.quickMap")}: <a href="${ctx.root}locations.tsv">locations.tsv</a>
+        ${CFG.exports.length ? `· ${t("index.exportsEnabled")}` : ``}`,
+  });
 
-This site is a JS-free INDEX of locations from https://iedereen.overal.info/.
+  // The same cards in other orders; A–Z also gets a jump bar to the first card of each letter
+  let orderedPageCount = 0;
+  for (const o of ORDERINGS.filter((o) => o.sort)) {
+    const items = o.sort(site, ctx.lang);
+    const fileFor = (i) => orderingFile(o, i);
+    let nav = orderNav(ctx, o.name);
+    let anchors = null;
+    if (o.name === "az") {
+      const firstPages = letterPages(items, CFG.pageSize);
+      nav += azBar(ctx, firstPages, fileFor);
+      anchors = new Map();
+      const seen = new Set();
+      for (const b of items) {
+        const letter = letterOf(b.title || b.key || b.url);
+        if (!seen.has(letter)) anchors.set(b, azAnchor(letter));
+        seen.add(letter);
+      }
+    }
+    const name = t(`order.${o.name}`);
+    orderedPageCount += await writeCardPages(ctx, {
+      items,
+      fileFor,
+      heading: `${common} — ${name}`,
+      title: `${common} — ${name}`,
+      nav,
+      anchors,
+      intro: t(`order.${o.name}Intro`, { total: items.length }),
+    });
+  }
 
-## Intended agent behavior
-1) Search/filter by location name using the HTML pages (or locations.tsv).
-2) Open only the relevant original pages via the \`url\` links.
-3) Extract detailed accessibility observations from the original pages.
+  // Place pages (province + municipality), only for records with a parsed postal line
+  const allPlaces = `<a href="./places.html">${t("place.allPlaces")}</a>`;
+  let placePageCount = 0;
 
-## What is stored here
-Only basic listing info:
-- title
-- description (often locality/address line)
-- image (listing preview thumbnail if available)
-- url (the ORIGINAL persistent location page)
+  for (const items of groupBy(placed, provinceBase).values()) {
+    const name = t.place(provinceLabel(items[0]));
+    const base = provinceBase(items[0]);
+    placePageCount += await writeCardPages(ctx, {
+      items,
+      fileFor: (i) => groupPageFilename(base, i),
+      heading: name,
+      title: `${common} — ${name}`,
+      intro: `${t("place.count", { count: items.length, name: escapeHtml(name) })}
+        ${t("place.back", { link: allPlaces })}`,
+    });
+  }
+
+  for (const items of groupBy(placed, municipalityBase).values()) {
+    const name = `${items[0].postalCode} ${items[0].municipality}`;
+    const base = municipalityBase(items[0]);
+    const province = t.place(provinceLabel(items[0]));
+    placePageCount += await writeCardPages(ctx, {
+      items,
+      fileFor: (i) => groupPageFilename(base, i),
+      heading: name,
+      title: `${common} — ${name}`,
+      intro: `${t("place.count", { count: items.length, name: escapeHtml(name) })}
+        (<a href="./${provinceBase(items[0])}.html">${escapeHtml(province)}</a>).
+        ${t("place.back", { link: allPlaces })}`,
+    });
+  }
 
-This index does NOT aim to contain full accessibility measurements/fields.
-If you need detailed fields (e.g., wheelchair toilet, door widths), follow \`url\`.
-`;
-  await fs.writeFile(path.join(CFG.dist, "llms.txt"), llmsTxt, "utf8");
+  await writeDist(`${ctx.lang}/places.html`, placesPage(ctx, placed, unplaced));
+
+  // Static search results: one page set per title-word prefix, listed on search.html
+  const searchLink = `<a href="./search.html">${t("search.title")}</a>`;
+  let searchPageCount = 0;
+  for (const [prefix, items] of prefixes) {
+    const heading = t("search.prefixHeading", { prefix });
+    searchPageCount += await writeCardPages(ctx, {
+      items: byTitle(items, ctx.lang),
+      fileFor: (i) => searchPageFile(prefix, i),
+      heading,
+      title: `${common} — ${heading}`,
+      intro: `${t("search.count", { count: items.length })} ${t("place.back", { link: searchLink })}`,
+    });
+  }
+  await writeDist(`${ctx.lang}/search.html`, searchPage(ctx, prefixes));
+  await writeDist(`${ctx.lang}/map.html`, mapPage(ctx, placed));
+  const byKey = new Map(site.map((b) => [recordKey(b), b]));
+  await writeDist(`${ctx.lang}/changes.html`, changesPage(ctx, history, byKey));
+
+  // Location pages; prev/next stay within the municipality (in index order)
+  for (const b of site) {
+    const html = locationPageHtml(ctx, b, neighbours.get(b) || { prev: null, next: null });
+    await writeDist(`${ctx.lang}/${locationPage(b)}`, html);
+  }
+
+  return { pageCount, orderedPageCount, placePageCount, searchPageCount };
+}
+
+/**
+ * Read a data file (or take records already in memory) and fill in the
+ * derived address/geo fields.
+ */
+export async function loadBuildings(dataPath, records = null) {
+  let parsed = records;
+  if (!parsed) {
+    const lists = [];
+    for (const file of String(dataPath).split(",").map((f) => f.trim()).filter(Boolean)) {
+      lists.push(JSON.parse(await fs.readFile(file, "utf8")));
+    }
+    // a non-array file is passed on as-is so validation reports it
+    parsed = lists.find((l) => !Array.isArray(l)) ?? lists.flat();
+  }
+  const centroids = await loadCentroids();
+  return Array.isArray(parsed) ? parsed.map((b) => withDerivedFields(b, centroids)) : parsed;
+}
+
+export async function validateData(buildings) {
+  return validateBuildings(buildings, await loadSchema());
+}
+
+/**
+ * Build dist/ from CFG.dataPath (or from `records`). Throws ValidationError
+ * when the records have hard errors.
+ */
+export async function build(cfg = buildConfig(process.env), records = null) {
+  // CHANGED_ONLY: stdout carries nothing but the change list, progress lines go to stderr
+  const log = console.log;
+  if (cfg.changedOnly) console.log = console.error;
+  try {
+    return await buildSite(cfg, records);
+  } finally {
+    console.log = log;
+  }
+}
+
+async function buildSite(cfg, records) {
+  CFG = cfg;
+  written.length = 0;
+  for (const rel of Object.keys(OUTPUTS)) delete OUTPUTS[rel];
+  CHANGES.added = [];
+  CHANGES.modified = [];
+  let buildings = await loadBuildings(CFG.dataPath, records);
+  SOURCES = sourcesOf(buildings);
+  const history = await readHistory(CFG.historyPath);
+  // Dates in the outputs come from the data (latest crawl), never the clock: the same
+  // input must give byte-identical files, or every build would "modify" them
+  const crawledAt = history?.crawls?.at(-1)?.at || null;
+  TEMPLATES = await loadTemplates(CFG.templatesDir);
+  const exporters = exportersFor(CFG.exports);
+
+  // Incremental: only outputs whose hash differs from build-manifest.json are written.
+  // Without a manifest (first build, or a dist/ from before) dist/ is cleared once.
+  PREVIOUS = await readBuildManifest(CFG.dist);
+  if (!PREVIOUS && !CFG.dryRun) {
+    await fs.rm(CFG.dist, { recursive: true, force: true });
+    await ensureDir(CFG.dist);
+  }
+
+  // Validation: the report is written either way, hard errors stop the build
+  const report = await validateData(buildings);
+  await writeDist("quality.json", JSON.stringify(report, null, 2));
+  for (const { code } of LANGUAGES) {
+    await writeDist(`${code}/quality.html`, qualityPage(pageContext(code), report, (i) => buildings[i]));
+  }
+  logValidation(report);
+  if (report.errors.length) {
+    throw new ValidationError(
+      `${CFG.dataPath} failed validation (${report.errors.length} error(s)); see quality.html`,
+      report
+    );
+  }
+
+  // Duplicate venues (scripts/lib/duplicates.mjs): curated merges fold records into their
+  // primary (redirect stubs below); remaining candidates go to the review file
+  const merges = await readMerges(CFG.duplicates.mergesPath);
+  const merged = applyMerges(buildings, merges);
+  buildings = merged.buildings;
+  const candidates = findDuplicates(buildings, { threshold: CFG.duplicates.threshold, distinct: merges.distinct });
+  if (!CFG.dryRun) await writeDuplicateReview(CFG.duplicates.reviewPath, candidates, CFG.duplicates);
+  console.log(`[duplicates] merged=${merged.redirects.length} candidates=${candidates.length}`);
+
+  // Link health (optional): every page below sees the marked records and updated `canonical`
+  let linkHealth = null;
+  if (CFG.links.enabled) {
+    linkHealth = await checkLinks(buildings, { ...CFG.links, dryRun: CFG.dryRun });
+    buildings = markLinkHealth(buildings, linkHealth.results);
+    await writeDist("link-health.json", JSON.stringify(linkReport(buildings, linkHealth), null, 2));
+  }
+
+  // Theme: style.css and assets, built-in theme/ overridden by THEME (scripts/lib/templates.mjs)
+  for (const f of await themeFiles(CFG.themeDir)) {
+    await writeDist(f.rel, await fs.readFile(f.file));
+  }
+
+  // llms.txt (explicitly tells agents not to waste time on exports): one per language
+  // folder, plus an English one at the root next to the shared files
+  const discovery = Boolean(CFG.discovery.siteUrl);
+  const ldes = CFG.ldes.enabled;
+  const exports = exporters.map((e) => ({ name: e.name, files: e.files.map((f) => f.file) }));
+  const llms = {
+    discovery,
+    ldes,
+    exports,
+    sources: SOURCES.map((s) => s.homepage),
+    details: buildings.filter((b) => b.details).length,
+    total: buildings.length,
+  };
+  await writeDist("llms.txt", llmsTxt("en", { ...llms, root: "./", home: `./${DEFAULT_LANG}/` }));
+  for (const { code } of LANGUAGES) {
+    await writeDist(`${code}/llms.txt`, llmsTxt(code, { ...llms, root: "../", home: "./" }));
+  }
 
   // locations.tsv (tiny, fast, hard to misinterpret as “full dataset”)
-  // Format: title<TAB>url
+  // Format: title<TAB>url<TAB>medal
   const tsvLines = [
-    "title\turl",
-    ...buildings.map((b) => `${tsvEscape(b.title || b.key || "")}\t${tsvEscape(b.url || "")}`),
+    "title\turl\tmedal",
+    ...buildings.map(
+      (b) => `${tsvEscape(b.title || b.key || "")}\t${tsvEscape(b.url || "")}\t${tsvEscape(b.medal || "")}`
+    ),
   ];
-  await fs.writeFile(path.join(CFG.dist, "locations.tsv"), tsvLines.join("\n") + "\n", "utf8");
+  await writeDist("locations.tsv", tsvLines.join("\n") + "\n");
+
+  // locations.geojson (approximate positions: postal-code / province centroids)
+  await writeDist("locations.geojson", JSON.stringify(toGeoJson(buildings, { pageFor: defaultLocationPage })));
+
+  // Linked Data: one Turtle document per location + DCAT dataset description
+  for (const b of buildings) {
+    await writeDist(locationResource(b), placeTurtle(b));
+  }
+  const stream = { file: "ldes/stream.ttl", mediaType: "text/turtle", title: "Linked Data Event Stream (TREE)" };
+  await writeDist(
+    "dataset.ttl",
+    datasetTurtle(buildings, {
+      title: "IedereenOveral — Static index",
+      description: translator("en")("site.description", { sources: SOURCES.map((s) => s.label).join(", ") }),
+      sources: SOURCES.map((s) => s.homepage),
+      modified: crawledAt?.slice(0, 10),
+      distributions: [
+        { file: "index.html", mediaType: "text/html", title: "HTML index (language choice)" },
+        ...LANGUAGES.map(({ code, name }) => ({
+          file: `${code}/index.html`,
+          mediaType: "text/html",
+          title: `HTML index (${name})`,
+        })),
+        { file: "locations.tsv", mediaType: "text/tab-separated-values", title: "title, url, medal (TSV)" },
+        { file: "locations.geojson", mediaType: "application/geo+json", title: "Approximate positions (GeoJSON)" },
+        ...(ldes ? [stream] : []),
+        ...exporters.flatMap((e) => e.files.map(({ file, mediaType, title }) => ({ file, mediaType, title }))),
+      ],
+    })
+  );
+
+  // Linked Data Event Stream (optional; versions are kept in LDES_STATE between builds)
+  if (ldes) {
+    const { state, added } = await updateLdesState(buildings, { ...CFG.ldes, dryRun: CFG.dryRun });
+    const { files, members } = ldesFiles(state, { ...CFG.ldes, title: "IedereenOveral — location versions" });
+    for (const { file, content } of files) await writeDist(file, content);
+    console.log(`[ldes] ${added} new version(s), ${members} member(s) in ${files.length} files`);
+  }
 
   // Optional exports (OFF by default)
-  if (CFG.exportJson) {
-    await fs.writeFile(path.join(CFG.dist, "buildings.json"), JSON.stringify(buildings, null, 2), "utf8");
-    const jsonl = buildings.map((b) => JSON.stringify(b)).join("\n") + "\n";
-    await fs.writeFile(path.join(CFG.dist, "buildings.jsonl"), jsonl, "utf8");
-    await fs.writeFile(path.join(CFG.dist, "buildings.jsonl.txt"), jsonl, "utf8");
+  const exportCtx = {
+    sources: SOURCES,
+    license: CFG.license,
+    exports: exporters,
+    crawledAt,
+  };
+  for (const exporter of exporters) {
+    for (const { file, content } of await exporter.render(buildings, exportCtx)) {
+      await writeDist(file, content);
+    }
   }
 
-  // HTML pages
-  const pages = chunk(buildings, CFG.pageSize);
-  const pageCount = pages.length;
+  // Images: mirror locally (optional), otherwise cards hotlink the original thumbnail
+  let site = buildings;
+  if (CFG.mirrorImages && CFG.dryRun) {
+    console.log(`[images] dry run: not mirroring`);
+  } else if (CFG.mirrorImages) {
+    const images = await mirrorImages(buildings, { cacheDir: CFG.imageCache, concurrency: CFG.imageConcurrency });
+    for (const f of mirroredFiles(images, CFG.imageCache)) await writeDist(f.rel, await fs.readFile(f.file));
+    await writeDist(`img/${PLACEHOLDER.file}`, placeholderSvg());
+    site = buildings.map((b) => ({ ...b, localImage: images.get(b.image) || null }));
+  }
 
-  for (let i = 0; i < pageCount; i++) {
-    const items = pages[i];
+  // Search index for search.js (shared by all languages; links go to loc-<key>.html)
+  const searchFiles = searchIndexFiles(buildings);
+  for (const { file, content } of searchFiles) await writeDist(file, content);
 
-    const body = `
-      <h1>Locaties</h1>
-      <p class="hint">
-        Total: ${buildings.length}. Clicking a card opens the original persistent URL.
-        Agent guide: <a href="./llms.txt">llms.txt</a> · Quick map: <a href="./locations.tsv">locations.tsv</a>
-        ${CFG.exportJson ? `· (exports enabled)` : ``}
-      </p>
-      ${pager({ pageIndex: i, pageCount })}
-      <section class="grid">
-        ${items.map(card).join("\n")}
-      </section>
-      ${pager({ pageIndex: i, pageCount })}
-    `;
+  // HTML pages: the same file names in every language folder
+  await writeDist("index.html", chooserPage());
 
-    const html = layout({ title: `Locaties — page ${i + 1}`, body });
-    await fs.writeFile(path.join(CFG.dist, pageFilename(i)), html, "utf8");
+  const placed = site.filter((b) => !b.addressIssue);
+  const unplaced = site.length - placed.length;
+  const neighbours = new Map();
+  for (const items of groupBy(placed, municipalityBase).values()) {
+    items.forEach((b, i) => neighbours.set(b, { prev: items[i - 1] || null, next: items[i + 1] || null }));
   }
 
-  console.log(`Built static site in ./${CFG.dist}`);
-  console.log(`HTML pages: ${pageCount} (flat files)`);
-  console.log(`Agent files: llms.txt, locations.tsv`);
-  console.log(`JSON exports: ${CFG.exportJson ? "ON" : "OFF"}`);
+  let pageCount = 0;
+  let orderedPageCount = 0;
+  let placePageCount = 0;
+  let searchPageCount = 0;
+  const prefixes = titlePrefixGroups(site);
+  for (const { code } of LANGUAGES) {
+    const ctx = pageContext(code);
+    const counts = await writeLanguage(ctx, { site, placed, unplaced, neighbours, history, prefixes });
+    ({ pageCount, orderedPageCount, placePageCount, searchPageCount } = counts);
+  }
+
+  // Redirect stubs: the pages and Turtle of merged keys point at the surviving location
+  for (const { from, to } of merged.redirects) {
+    for (const { code } of LANGUAGES) {
+      await writeDist(`${code}/${locationPage(from)}`, redirectPage(pageContext(code), from, to));
+    }
+    await writeDist(locationResource(from), mergedTurtle(from, to));
+  }
+
+  // Discovery files (need absolute URLs, so only with SITE_URL)
+  if (CFG.discovery.siteUrl) {
+    const feedState = { ...CFG.discovery, dryRun: CFG.dryRun };
+    const { manifest, added, baseline } = await updateFeedManifest(buildings, feedState);
+    await writeDist(
+      "feed.atom",
+      atomFeed(buildings, manifest, {
+        ...CFG.discovery,
+        title: "IedereenOveral — newly listed locations",
+        pageFor: defaultLocationPage,
+      })
+    );
+    console.log(`[feed] ${baseline ? `baseline of ${added} locations recorded` : `${added} new location(s)`}`);
+
+    const stubs = new Set(merged.redirects.map((r) => locationPage(r.from)));
+    const pages = written.filter((rel) => rel.endsWith(".html") && !stubs.has(path.basename(rel)));
+    await writeDist("sitemap.xml", sitemapXml(pages, CFG.discovery));
+    const robots = robotsTxt(CFG.discovery);
+    if (robots) await writeDist("robots.txt", robots);
+  }
+
+  // Outputs of the previous build that this one did not produce
+  const removed = Object.keys(PREVIOUS?.files || {}).filter((rel) => !(rel in OUTPUTS));
+  const changes = { ...CHANGES, removed };
+  if (!CFG.dryRun) {
+    await pruneOutputs(CFG.dist, removed);
+    await writeBuildManifest(CFG.dist, { files: OUTPUTS, changes });
+  }
+
+  const unchanged = written.length - changes.added.length - changes.modified.length;
+  if (CFG.changedOnly) {
+    // For deploy steps: one "<A|M|D><TAB>path" line per file to upload or delete
+    for (const [mark, rels] of [
+      ["A", changes.added],
+      ["M", changes.modified],
+      ["D", removed],
+    ]) {
+      for (const rel of rels) process.stdout.write(`${mark}\t${rel}\n`);
+    }
+    return { records: buildings.length, files: written.length, changes };
+  }
+
+  if (CFG.dryRun) console.log(`[dry-run] would write ${written.length} files to ./${CFG.dist} (nothing written)`);
+  else console.log(`Built static site in ./${CFG.dist}`);
+  console.log(
+    `Changes: ${PREVIOUS ? "" : "full build, "}added=${changes.added.length} modified=${changes.modified.length} ` +
+      `removed=${removed.length} unchanged=${unchanged} (${MANIFEST_FILE})`
+  );
+  console.log(`Languages: ${LANGUAGES.map((l) => `${l.code}/`).join(", ")} (index.html chooses)`);
+  console.log(`HTML pages per language: ${pageCount} (flat files)`);
+  console.log(`Ordered pages per language: ${orderedPageCount} (az, by-municipality, recent)`);
+  console.log(`Place pages per language: ${placePageCount + 1} (places.html + provinces + municipalities)`);
+  console.log(`Location pages per language: ${buildings.length} (loc-<key>.html)`);
+  console.log(
+    `Search: search/ (${searchFiles.length} files), search.html + ${searchPageCount} prefix pages per language`
+  );
+  if (unplaced) console.log(`Records without parseable postal line: ${unplaced}`);
+  console.log(`Agent files: llms.txt (+ one per language), locations.tsv, locations.geojson`);
+  console.log(`Linked Data: dataset.ttl + ${buildings.length} loc-<key>.ttl`);
+  console.log(`Event stream: ${ldes ? "ldes/stream.ttl (by-id, by-municipality)" : "OFF"}`);
+  console.log(`Exports: ${exporters.length ? exporters.map((e) => e.name).join(", ") : "OFF"}`);
+  const { siteUrl } = CFG.discovery;
+  const discoveryFiles = `sitemap.xml, ${written.includes("robots.txt") ? "robots.txt, " : ""}feed.atom`;
+  console.log(`Discovery: ${siteUrl ? `${discoveryFiles} for ${siteUrl}` : "OFF"}`);
+  const linkSummary = linkHealth && LINK_STATUSES.map((s) => `${s}=${linkHealth.stats[s]}`).join(" ");
+  const review = `${candidates.length} to review${CFG.dryRun ? "" : ` (${CFG.duplicates.reviewPath})`}`;
+  console.log(`Duplicates: ${merged.redirects.length} merged (redirect stubs), ${review}`);
+  console.log(`Link check: ${linkHealth ? `link-health.json (${linkSummary})` : "OFF"}`);
+  console.log(`Images: ${CFG.mirrorImages ? `mirrored in ./${CFG.dist}/img` : "hotlinked"}`);
+  return { records: buildings.length, files: written.length, changes };
 }
 
-main().catch((err) => {
-  console.error(err);
-  process.exit(1);
-});
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  build().catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
+}
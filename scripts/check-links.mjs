@@ -0,0 +1,115 @@
+/**
+ * Self-check of the link health check (scripts/lib/links.mjs) against a local
+ * HTTP stand-in: a throwaway server on 127.0.0.1 answers 200, 301, 302, 404,
+ * 405 and 503 on fixed paths, and the records pointing at it must come out of
+ * checkLinks() + markLinkHealth() with the expected status and `canonical`.
+ * Uses a temporary LINK_CACHE; needs no network.
+ *
+ * Run:
+ *   node scripts/check-links.mjs
+ *   npm run check:links
+ *
+ * Exit code 0 when every expectation holds, 1 (with the assertion) otherwise.
+ */
+
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { checkLinks, markLinkHealth } from "./lib/links.mjs";
+
+// path -> [status, location?]; /flaky fails once, then answers 200
+const ROUTES = {
+  "/ok": [200],
+  "/moved": [301, "/ok"],
+  "/moved-twice": [301, "/moved"],
+  "/temporary": [302, "/ok"],
+  "/gone": [404],
+  "/moved-gone": [308, "/gone"],
+  "/down": [503],
+  "/img.jpg": [200],
+};
+
+function standIn() {
+  const seen = new Map();
+  return http.createServer((req, res) => {
+    const count = (seen.get(req.url) || 0) + 1;
+    seen.set(req.url, count);
+    if (req.url === "/flaky") {
+      res.writeHead(count === 1 ? 503 : 200).end();
+      return;
+    }
+    // A server that refuses HEAD: the check retries with GET
+    if (req.url === "/get-only") {
+      res.writeHead(req.method === "HEAD" ? 405 : 200).end();
+      return;
+    }
+    const [status, location] = ROUTES[req.url] || [404];
+    res.writeHead(status, location ? { location } : {}).end();
+  });
+}
+
+// path -> expected { status, httpStatus, canonical }
+const EXPECTED = {
+  "/ok": { status: "ok", httpStatus: 200, canonical: null },
+  "/moved": { status: "redirected", httpStatus: 200, canonical: "/ok" },
+  "/moved-twice": { status: "redirected", httpStatus: 200, canonical: "/ok" },
+  "/temporary": { status: "redirected", httpStatus: 200, canonical: null },
+  "/gone": { status: "dead", httpStatus: 404, canonical: null },
+  "/moved-gone": { status: "dead", httpStatus: 404, canonical: null },
+  "/down": { status: "error", httpStatus: undefined, canonical: null },
+  "/flaky": { status: "ok", httpStatus: 200, canonical: null },
+  "/get-only": { status: "ok", httpStatus: 200, canonical: null },
+};
+
+async function main() {
+  const server = standIn();
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), "check-links-"));
+  try {
+    const buildings = Object.keys(EXPECTED).map((p, i) => ({
+      id: String(i + 1),
+      key: `k${i + 1}`,
+      url: base + p,
+      image: p === "/ok" ? `${base}/img.jpg` : null,
+    }));
+    const check = await checkLinks(buildings, {
+      cachePath: path.join(tmp, "link-cache.json"),
+      concurrency: 2,
+      retries: 1,
+      maxAgeHours: 24,
+    });
+    const marked = markLinkHealth(buildings, check.results);
+
+    for (const b of marked) {
+      const p = b.url.slice(base.length);
+      const want = EXPECTED[p];
+      const got = check.results.get(b.url);
+      assert.equal(got.status, want.status, `${p}: status`);
+      assert.equal(got.httpStatus, want.httpStatus, `${p}: httpStatus`);
+      assert.equal(b.linkHealth.url, want.status, `${p}: linkHealth.url`);
+      assert.equal(b.canonical ?? null, want.canonical && base + want.canonical, `${p}: canonical`);
+    }
+    assert.equal(marked[0].linkHealth.image, "ok", "/img.jpg: linkHealth.image");
+
+    // A second run answers from the cache, except the error that is checked again
+    const again = await checkLinks(buildings, {
+      cachePath: path.join(tmp, "link-cache.json"),
+      retries: 0,
+      maxAgeHours: 24,
+    });
+    assert.equal(again.stats.checked, 1, "second run: only the error is checked again");
+    console.log("[check-links] all expectations hold");
+  } finally {
+    server.closeAllConnections();
+    server.close();
+    await fs.rm(tmp, { recursive: true, force: true });
+  }
+}
+
+main().catch((err) => {
+  console.error(err?.stack || err);
+  process.exit(1);
+});
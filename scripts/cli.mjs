@@ -0,0 +1,279 @@
+#!/usr/bin/env node
+/**
+ * IedereenOveral command line
+ *
+ *   node scripts/cli.mjs <command> [flags]
+ *
+ * Commands:
+ *   extract    crawl iedereen.overal.info into OUT (scripts/extract.mjs)
+ *   validate   check DATA against the schema, print the quality summary
+ *   build      validate DATA and render dist/ (scripts/build.mjs)
+ *   pipeline   extract -> validate -> replace OUT -> build, in one go
+ *   deploy     upload dist/ to a Solid pod container (scripts/deploy.mjs)
+ *
+ * Settings come from (lowest first) built-in defaults, the config file
+ * (./iedereenoveral.config.json or --config <file>), env vars and flags;
+ * see scripts/lib/config.mjs. `<command> --help` lists every flag.
+ *
+ * `pipeline` crawls into <OUT>.new first and only moves it over OUT when it
+ * validates and is not much smaller than the current OUT (MIN_RECORD_RATIO,
+ * default 0.8; --force overrides). Only then is the crawl merged into the
+ * history store (HISTORY); it then builds from OUT.
+ *
+ * Exit codes:
+ *   0  success
+ *   1  unexpected error
+ *   2  usage error (unknown command or flag, bad value, bad config file)
+ *   3  validation failed (hard errors in the records)
+ *   4  extraction failed (crawler error, 0 locations)
+ *   5  pipeline refused to replace OUT: the new crawl shrank too much
+ *   6  deploy failed (authentication, pod refused a request, no build yet)
+ */
+
+import fs from "node:fs/promises";
+import { parseArgs } from "node:util";
+import { build, buildConfig, loadBuildings, validateData } from "./build.mjs";
+import { deploy, deployConfig } from "./deploy.mjs";
+import { extract, extractConfig, recordHistory } from "./extract.mjs";
+import {
+  CONFIG_FILE,
+  envNumber,
+  parseArgsOptions,
+  readConfigFile,
+  resolveEnv,
+  SETTINGS,
+  settingsHelp,
+  UsageError,
+} from "./lib/config.mjs";
+import { logValidation, ValidationError } from "./lib/validate.mjs";
+
+const EXIT = {
+  ok: 0,
+  error: 1,
+  usage: 2,
+  invalid: 3,
+  extract: 4,
+  shrunk: 5,
+  deploy: 6,
+};
+
+function pipelineConfig(env = process.env) {
+  return {
+    minRatio: envNumber(env, "MIN_RECORD_RATIO", 0.8),
+    force: String(env.FORCE || "false").toLowerCase() === "true",
+  };
+}
+
+async function countRecords(file) {
+  try {
+    const parsed = JSON.parse(await fs.readFile(file, "utf8"));
+    return Array.isArray(parsed) ? parsed.length : null;
+  } catch {
+    return null;
+  }
+}
+
+async function runExtract(env) {
+  try {
+    await extract(extractConfig(env));
+  } catch (err) {
+    console.error(`[extract] failed: ${err?.stack || err}`);
+    return EXIT.extract;
+  }
+  return EXIT.ok;
+}
+
+async function runValidate(env) {
+  const { dataPath } = buildConfig(env);
+  const report = await validateData(await loadBuildings(dataPath));
+  logValidation(report);
+  return report.errors.length ? EXIT.invalid : EXIT.ok;
+}
+
+async function runBuild(env, records = null) {
+  try {
+    await build(buildConfig(env), records);
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      console.error(`[build] ${err.message}`);
+      return EXIT.invalid;
+    }
+    throw err;
+  }
+  return EXIT.ok;
+}
+
+async function runPipeline(env) {
+  const extractCfg = extractConfig(env);
+  const { minRatio, force } = pipelineConfig(env);
+  const target = extractCfg.outFile;
+  const candidate = `${target}.new`;
+
+  let fresh;
+  try {
+    // History is only updated once the crawl is accepted (below)
+    fresh = await extract({ ...extractCfg, outFile: candidate, historyPath: null });
+  } catch (err) {
+    console.error(`[extract] failed: ${err?.stack || err}`);
+    return EXIT.extract;
+  }
+
+  const kept = extractCfg.dryRun ? "" : ` (new crawl kept in ${candidate})`;
+  const report = await validateData(await loadBuildings(candidate, fresh));
+  logValidation(report);
+  if (report.errors.length) {
+    console.error(`[pipeline] new crawl is invalid; ${target} left untouched${kept}`);
+    return EXIT.invalid;
+  }
+
+  const previous = await countRecords(target);
+  if (previous && fresh.length < previous * minRatio) {
+    const msg = `new crawl has ${fresh.length} records, ${target} has ${previous} (min ratio ${minRatio})`;
+    if (!force) {
+      console.error(`[pipeline] refusing to replace ${target}: ${msg}${kept}. Re-run with --force to accept it.`);
+      return EXIT.shrunk;
+    }
+    console.warn(`[pipeline] --force: ${msg}`);
+  }
+
+  if (extractCfg.dryRun) {
+    console.log(`[dry-run] would replace ${target} (${previous ?? "none"} -> ${fresh.length} records)`);
+  } else {
+    await fs.rename(candidate, target);
+    console.log(`[pipeline] ${target}: ${previous ?? "none"} -> ${fresh.length} records`);
+  }
+  if (extractCfg.historyPath) await recordHistory(fresh, extractCfg);
+
+  return runBuild({ ...env, DATA: target }, fresh);
+}
+
+async function runDeploy(env) {
+  try {
+    await deploy(deployConfig(env));
+  } catch (err) {
+    console.error(`[deploy] failed: ${err?.message || err}`);
+    return EXIT.deploy;
+  }
+  return EXIT.ok;
+}
+
+const onlyKeys = (keys) => SETTINGS.filter((s) => keys.includes(s.key));
+const inSections = (sections) => SETTINGS.filter((s) => sections.includes(s.section));
+
+const COMMANDS = {
+  extract: {
+    summary: "Crawl iedereen.overal.info into OUT",
+    settings: inSections(["global", "extract"]),
+    run: runExtract,
+  },
+  validate: {
+    summary: "Check DATA against the schema and print the quality summary",
+    settings: onlyKeys(["data"]),
+    run: runValidate,
+  },
+  build: {
+    summary: "Validate DATA and render the static site",
+    settings: inSections(["global", "build"]),
+    run: runBuild,
+  },
+  pipeline: {
+    summary: "extract -> validate -> replace OUT -> build",
+    settings: inSections(["global", "extract", "build", "pipeline"]).filter((s) => s.key !== "data"),
+    run: runPipeline,
+  },
+  deploy: {
+    summary: "Upload dist/ to a Solid pod container (changed files only)",
+    settings: [...onlyKeys(["dryRun", "dist"]), ...inSections(["deploy"])],
+    run: runDeploy,
+  },
+};
+
+function usage() {
+  const width = Math.max(...Object.keys(COMMANDS).map((c) => c.length));
+  const commands = Object.entries(COMMANDS).map(([name, c]) => `  ${name.padEnd(width)}  ${c.summary}`);
+  return `Usage: node scripts/cli.mjs <command> [flags]
+
+Commands:
+${commands.join("\n")}
+
+Common flags:
+  --config <file>  Config file (default ./${CONFIG_FILE}, optional)
+  -h, --help       Show help (also: <command> --help)
+
+Settings: built-in default < config file < env var < flag.
+
+Exit codes:
+  0  success
+  1  unexpected error
+  2  usage error
+  3  validation failed
+  4  extraction failed
+  5  pipeline refused: new crawl much smaller than the current data
+  6  deploy failed
+`;
+}
+
+function commandUsage(name) {
+  const defaults = { ...extractConfig({}), ...buildConfig({}), ...pipelineConfig({}), ...deployConfig({}) };
+  return `Usage: node scripts/cli.mjs ${name} [flags]
+
+${COMMANDS[name].summary}
+
+Flags:
+${settingsHelp(COMMANDS[name].settings, defaults, [
+  ["--config <file>", `Config file (default ./${CONFIG_FILE})`],
+  ["-h, --help", "Show this help"],
+])}
+`;
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const [name, ...rest] = argv;
+  if (!name || name === "help" || name === "--help" || name === "-h") {
+    process.stdout.write(usage());
+    return name ? EXIT.ok : EXIT.usage;
+  }
+
+  const command = COMMANDS[name];
+  if (!command) throw new UsageError(`unknown command "${name}" (try --help)`);
+
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: rest,
+      options: {
+        ...parseArgsOptions(command.settings),
+        config: { type: "string" },
+        help: { type: "boolean", short: "h" },
+      },
+      strict: true,
+      allowPositionals: false,
+    }));
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+
+  if (values.help) {
+    process.stdout.write(commandUsage(name));
+    return EXIT.ok;
+  }
+
+  const file = await readConfigFile(values.config || CONFIG_FILE, { explicit: Boolean(values.config) });
+  const flags = Object.fromEntries(command.settings.map((s) => [s.flag, values[s.flag]]));
+  return command.run(resolveEnv({ file, env: process.env, flags }));
+}
+
+main().then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (err) => {
+    if (err instanceof UsageError) {
+      console.error(`error: ${err.message}`);
+      process.exitCode = EXIT.usage;
+      return;
+    }
+    console.error(err?.stack || err);
+    process.exitCode = EXIT.error;
+  }
+);
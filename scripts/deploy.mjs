@@ -0,0 +1,183 @@
+/**
+ * Deploy dist/ to a Solid pod container (scripts/lib/solid.mjs does the protocol).
+ *
+ * - Works from dist/build-manifest.json (scripts/lib/incremental.mjs): a copy of it is
+ *   uploaded to the container after every deploy, so the next deploy compares hashes
+ *   and only uploads added/changed files and deletes the files the build dropped
+ * - Remote files this tool did not upload are never touched; without a manifest on the
+ *   pod (first deploy) every file is uploaded and nothing is deleted
+ * - Content types by extension (text/html, text/tab-separated-values, text/turtle,
+ *   application/ld+json, ...); containers for nested folders are created parents first,
+ *   and folders left empty by deletions are removed
+ * - DEPLOY_PUBLIC=true makes the container and everything below it publicly readable
+ *   (WAC .acl or ACP .acr, detected, or forced with DEPLOY_ACCESS), keeping full control
+ *   for the deploying WebID
+ * - DRY_RUN=true reads the remote manifest and prints the diff ("A|M|D<TAB>path") only
+ *
+ * Run (after a build):
+ *   node scripts/deploy.mjs
+ *   node scripts/cli.mjs deploy [flags]   (same settings as flags / config file)
+ *
+ * Against a local Community Solid Server (npx @solid/community-server -p 3000, open
+ * access by default): DEPLOY_TARGET=http://localhost:3000/iedereenoveral/, no client id.
+ *
+ * Env:
+ *   DIST=dist
+ *   DEPLOY_TARGET=             (container URL on the pod, e.g. https://pod.example/iedereenoveral/)
+ *   SOLID_OIDC_ISSUER=         (identity provider of the client, e.g. https://pod.example/)
+ *   SOLID_CLIENT_ID=           (client credentials; empty = anonymous requests)
+ *   SOLID_CLIENT_SECRET=       (env only, never in the config file)
+ *   DEPLOY_PUBLIC=false|true   (default false)
+ *   DEPLOY_ACCESS=auto|wac|acp (default auto)
+ *   DEPLOY_CONCURRENCY=4
+ *   DRY_RUN=false|true         (print the diff, change nothing on the pod)
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import pLimit from "p-limit";
+import { envNumber } from "./lib/config.mjs";
+import { withRetry } from "./lib/crawl.mjs";
+import { MANIFEST_FILE, readBuildManifest } from "./lib/incremental.mjs";
+import {
+  contentTypeOf,
+  createSession,
+  deleteResource,
+  ensureContainer,
+  grantPublicRead,
+  putFile,
+  readText,
+} from "./lib/solid.mjs";
+
+const RETRY_DELAY_MS = 1000;
+
+export function deployConfig(env = process.env) {
+  const target = String(env.DEPLOY_TARGET || "");
+  return {
+    dist: env.DIST || "dist",
+    target: target && !target.endsWith("/") ? `${target}/` : target,
+    issuer: env.SOLID_OIDC_ISSUER || "",
+    clientId: env.SOLID_CLIENT_ID || "",
+    clientSecret: env.SOLID_CLIENT_SECRET || "",
+    publicRead: String(env.DEPLOY_PUBLIC || "false").toLowerCase() === "true",
+    access: String(env.DEPLOY_ACCESS || "auto").toLowerCase(),
+    concurrency: envNumber(env, "DEPLOY_CONCURRENCY", 4),
+    dryRun: String(env.DRY_RUN || "false").toLowerCase() === "true",
+  };
+}
+
+function remoteUrl(target, rel) {
+  return new URL(rel.split("/").map(encodeURIComponent).join("/"), target).toString();
+}
+
+// Every folder above `rels`, e.g. "nl/" and "ldes/" and "ldes/by-id/"
+function foldersOf(rels) {
+  const out = new Set();
+  for (const rel of rels) {
+    for (let d = path.posix.dirname(rel); d !== "."; d = path.posix.dirname(d)) out.add(`${d}/`);
+  }
+  return out;
+}
+
+const depth = (folder) => folder.split("/").length;
+
+async function readRemoteManifest(session, target) {
+  const text = await readText(session, remoteUrl(target, MANIFEST_FILE));
+  if (text == null) return null;
+  try {
+    const m = JSON.parse(text);
+    if (m.files) return m;
+  } catch {}
+  console.warn(`[deploy] ${MANIFEST_FILE} on the pod is unreadable; treating the pod as empty`);
+  return null;
+}
+
+/**
+ * Upload/delete what differs between dist/ and the last deploy. Returns
+ * { added, modified, removed } (paths relative to dist/).
+ */
+export async function deploy(cfg = deployConfig(process.env)) {
+  if (!cfg.target) throw new Error("DEPLOY_TARGET is not set (URL of the pod container to deploy to)");
+  if (!["auto", "wac", "acp"].includes(cfg.access)) throw new Error(`DEPLOY_ACCESS must be auto, wac or acp`);
+  const local = await readBuildManifest(cfg.dist);
+  if (!local) throw new Error(`${cfg.dist}/${MANIFEST_FILE} not found: run the build first`);
+
+  const session = await createSession(cfg);
+  console.log(`[deploy] ${cfg.target} as ${session.webId || "anonymous"}`);
+  const remote = await readRemoteManifest(session, cfg.target);
+  if (!remote) console.log(`[deploy] no ${MANIFEST_FILE} on the pod: uploading everything`);
+
+  const remoteFiles = remote?.files || {};
+  const changes = { added: [], modified: [], removed: [] };
+  for (const [rel, { hash }] of Object.entries(local.files)) {
+    if (!remoteFiles[rel]) changes.added.push(rel);
+    else if (remoteFiles[rel].hash !== hash) changes.modified.push(rel);
+  }
+  changes.removed = Object.keys(remoteFiles).filter((rel) => !local.files[rel]);
+  const summary =
+    `added=${changes.added.length} modified=${changes.modified.length} removed=${changes.removed.length} ` +
+    `unchanged=${Object.keys(local.files).length - changes.added.length - changes.modified.length}`;
+
+  if (cfg.dryRun) {
+    for (const [mark, rels] of [
+      ["A", changes.added],
+      ["M", changes.modified],
+      ["D", changes.removed],
+    ]) {
+      for (const rel of rels) console.log(`${mark}\t${rel}`);
+    }
+    if (cfg.publicRead) {
+      const acl = await grantPublicRead(session, cfg.target, { mode: cfg.access, dryRun: true });
+      console.log(`[dry-run] would grant public read on ${cfg.target} (${acl.mode}: ${acl.url})`);
+    }
+    console.log(`[dry-run] ${summary} (nothing changed on the pod)`);
+    return changes;
+  }
+
+  // Containers first, parents before children
+  const uploads = [...changes.added, ...changes.modified];
+  await ensureContainer(session, cfg.target);
+  for (const folder of [...foldersOf(uploads)].sort((a, b) => depth(a) - depth(b) || a.localeCompare(b))) {
+    await ensureContainer(session, remoteUrl(cfg.target, folder));
+  }
+
+  const limit = pLimit(cfg.concurrency);
+  const attempt = (label, fn) => withRetry(fn, { label, attempts: 3, baseDelayMs: RETRY_DELAY_MS });
+  await Promise.all(
+    uploads.map((rel) =>
+      limit(async () => {
+        const body = await fs.readFile(path.join(cfg.dist, rel));
+        await attempt(`upload ${rel}`, () => putFile(session, remoteUrl(cfg.target, rel), body, contentTypeOf(rel)));
+      })
+    )
+  );
+  await Promise.all(
+    changes.removed.map((rel) =>
+      limit(() => attempt(`delete ${rel}`, () => deleteResource(session, remoteUrl(cfg.target, rel))))
+    )
+  );
+
+  // Folders that only held deleted files, deepest first (the pod refuses non-empty ones)
+  const kept = foldersOf(Object.keys(local.files));
+  const empty = [...foldersOf(changes.removed)].filter((f) => !kept.has(f)).sort((a, b) => depth(b) - depth(a));
+  for (const folder of empty) await deleteResource(session, remoteUrl(cfg.target, folder));
+
+  // The manifest goes last: an interrupted deploy is simply redone next time
+  const manifest = await fs.readFile(path.join(cfg.dist, MANIFEST_FILE));
+  await putFile(session, remoteUrl(cfg.target, MANIFEST_FILE), manifest, "application/json");
+
+  if (cfg.publicRead) {
+    const acl = await grantPublicRead(session, cfg.target, { mode: cfg.access });
+    console.log(`[deploy] public read on ${cfg.target} (${acl.mode}: ${acl.url})`);
+  }
+  console.log(`[deploy] ${summary}`);
+  return changes;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  deploy().catch((err) => {
+    console.error(err?.stack || err);
+    process.exit(1);
+  });
+}
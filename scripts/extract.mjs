@@ -1,38 +1,140 @@
 /**
- * IedereenOveral listing-only extractor
+ * IedereenOveral extractor
+ *
+ * Site specifics (selectors, URL patterns, pagination strategy, field pickers)
+ * live in a site profile (scripts/lib/profiles.mjs, scripts/profiles/), picked
+ * with PROFILE. The default profile crawls iedereen.overal.info:
  *
  * - Crawls listing pages via bottom <nav role="navigation"> pagination
  * - Extracts each listing item from its <a href="locaties/00000-slug/">
- * - Pulls ONLY listing info (no detail page visits):
+ * - Pulls listing info:
  *   - url (absolute, normalized)
+ *   - source (profile name, so several sites can be merged by build.mjs)
  *   - title (best title text inside the item)
  *   - description (best short non-title text; usually address line)
  *   - image (preview thumbnail; ignores medal/icon images)
+ *   - medal (gold|silver|bronze accessibility medal, if shown on the card)
+ *   - medalImage (raw medal asset URL, kept as evidence for `medal`)
+ * - Splits the postal line (scripts/lib/address.mjs):
+ *   - postalLine (original string), postalCode, municipality
+ *   - province, region (from Belgian postal code ranges)
+ *   - addressIssue ("missing" | "unparsed" | null)
+ * - Offline geocoding from data/postal-centroids.json (scripts/lib/geo.mjs):
+ *   - lat, lon (approximate centroid), precision ("postal-code" | "province" | "region" | null)
+ * - Optional (DETAILS=true): visits every locaties/00000-slug/ page with
+ *   bounded concurrency and stores a nested `details` object:
+ *   - address (street + postal line as shown on the page)
+ *   - contact (phone, email, website)
+ *   - openingHours ([{ day, hours }])
+ *   - accessibility ([{ section, label, value, number, unit }])
+ *
+ * Long runs are checkpointed: after every listing page the accumulated entries,
+ * the last page number reached and the config are written to CHECKPOINT.
+ * RESUME=true jumps straight back to that page (via the numbered pagination
+ * links) and continues; the merge is the same as in an uninterrupted crawl.
+ * The checkpoint is removed once OUT has been written.
+ *
+ * Failures: every page load / pagination step is retried (RETRIES more times,
+ * waiting RETRY_DELAY ms, then twice as long each time). "There is no next
+ * page" ends the listing; "going to the next page failed" is retried and, when
+ * it keeps failing, fails the run instead of silently truncating the data
+ * (RESUME=true continues from the last good page). Every failed attempt leaves
+ * a screenshot + HTML snapshot in DEBUG_DIR; the run summary (printed, and
+ * DEBUG_DIR/run-summary.json) lists them, also for dry runs.
+ *
+ * LISTING_CONCURRENCY>1 opens listing pages side by side instead of paging
+ * through them one by one. It needs a profile whose listing pages have their
+ * own address (pagination.pageUrl); other profiles crawl sequentially.
  *
- * Output: data/buildings.json
+ * RECORD=dir saves every rendered listing page of the crawl into dir;
+ * REPLAY=dir rebuilds OUT from such a recording without browser or network,
+ * using the same card heuristics (scripts/lib/cards.mjs) and the current
+ * profile, so selector changes can be tried on a frozen corpus and old crawls
+ * reprocessed.
+ *
+ * Every finished crawl is merged into the history store HISTORY
+ * (scripts/lib/history.mjs): firstSeen / lastSeen per location, a change
+ * record per changed field, and tombstones for locations that are no longer
+ * listed (replays are left out). OUT itself always holds just the latest crawl.
+ *
+ * Detail URLs are resolved against the origin of START_URL, so pointing
+ * START_URL at a locally served copy (e.g. http://localhost:8080/) crawls
+ * that copy end to end.
+ *
+ * Output: data/buildings.json, data/history.json
  *
  * Run:
  *   node scripts/extract.mjs
+ *   node scripts/cli.mjs extract [flags]   (same settings as flags / config file)
  *
  * Env:
- *   START_URL=https://iedereen.overal.info/
+ *   PROFILE=iedereenoveral  (built-in profile name, or path to a profile module)
+ *   START_URL=              (default: the profile's startUrl)
  *   OUT=data/buildings.json
+ *   HISTORY=data/history.json
  *   MAX_LOCATIONS=0         (0 = no limit)
  *   MAX_LISTING_PAGES=0     (0 = until "next" stops)
  *   HEADFUL=false|true
+ *   DETAILS=false|true      (default false)
+ *   DETAIL_CONCURRENCY=4    (parallel detail pages)
+ *   CHECKPOINT=data/buildings.checkpoint.json
+ *   RESUME=false|true       (continue from CHECKPOINT if present)
+ *   DRY_RUN=false|true      (crawl, but write neither OUT nor checkpoints)
+ *   RETRIES=2               (extra attempts per page before giving up)
+ *   RETRY_DELAY=1000        (ms before the first retry; doubles every retry)
+ *   DEBUG_DIR=data/debug    (failure snapshots + run-summary.json)
+ *   LISTING_CONCURRENCY=1   (parallel listing pages; needs pagination.pageUrl)
+ *   RECORD=                 (dir: save rendered listing pages)
+ *   REPLAY=                 (dir: extract from a recording instead of the site)
  */
 
 import { chromium } from "playwright";
+import pLimit from "p-limit";
 import fs from "node:fs/promises";
 import path from "node:path";
+import { pathToFileURL } from "node:url";
+import { parseAddress } from "./lib/address.mjs";
+import { collectCards, listingPageEntries } from "./lib/cards.mjs";
+import { envNumber } from "./lib/config.mjs";
+import { geocode, loadCentroids } from "./lib/geo.mjs";
+import {
+  createRunSummary,
+  logRunSummary,
+  NavigationError,
+  saveSnapshot,
+  withRetry,
+  writeRunSummary,
+} from "./lib/crawl.mjs";
+import { updateHistory } from "./lib/history.mjs";
+import { DEFAULT_PROFILE, loadProfile, parseKey } from "./lib/profiles.mjs";
 
-const CFG = {
-  startUrl: process.env.START_URL || "https://iedereen.overal.info/",
-  outFile: process.env.OUT || "data/buildings.json",
-  maxLocations: Number(process.env.MAX_LOCATIONS || "0"),
-  maxListingPages: Number(process.env.MAX_LISTING_PAGES || "0"),
-  headful: String(process.env.HEADFUL || "false").toLowerCase() === "true",
-};
+export function extractConfig(env = process.env) {
+  return {
+    profile: env.PROFILE || DEFAULT_PROFILE,
+    startUrl: env.START_URL || null,
+    outFile: env.OUT || "data/buildings.json",
+    historyPath: env.HISTORY || "data/history.json",
+    maxLocations: envNumber(env, "MAX_LOCATIONS", 0),
+    maxListingPages: envNumber(env, "MAX_LISTING_PAGES", 0),
+    headful: String(env.HEADFUL || "false").toLowerCase() === "true",
+    details: String(env.DETAILS || "false").toLowerCase() === "true",
+    detailConcurrency: envNumber(env, "DETAIL_CONCURRENCY", 4),
+    checkpointFile: env.CHECKPOINT || "data/buildings.checkpoint.json",
+    resume: String(env.RESUME || "false").toLowerCase() === "true",
+    dryRun: String(env.DRY_RUN || "false").toLowerCase() === "true",
+    retries: envNumber(env, "RETRIES", 2),
+    retryDelayMs: envNumber(env, "RETRY_DELAY", 1000),
+    debugDir: env.DEBUG_DIR || "data/debug",
+    listingConcurrency: envNumber(env, "LISTING_CONCURRENCY", 1),
+    recordDir: env.RECORD || null,
+    replayDir: env.REPLAY || null,
+  };
+}
+
+// Settings, site profile and run summary of the current run (replaced by extract(cfg))
+let CFG = extractConfig(process.env);
+let SITE = null;
+let RUN = null;
 
 function normalizeSpace(s) {
   return String(s || "").replace(/\s+/g, " ").trim();
@@ -50,31 +152,51 @@ function stripQueryHash(url) {
     return url;
   }
 }
-function parseKey(url) {
-  const m = url.match(/\/locaties\/([^/]+)\/?$/);
-  const key = m ? m[1] : null;
-  const idMatch = key?.match(/^(\d{5})-(.+)$/);
-  return {
-    key: key || null,
-    id: idMatch ? idMatch[1] : null,
-    slug: idMatch ? idMatch[2] : null,
-  };
-}
 async function ensureDir(p) {
   await fs.mkdir(p, { recursive: true });
 }
 
+/**
+ * Note a failed attempt in the run summary, with a snapshot of the page it failed on.
+ */
+async function recordFailure(page, step, attempt, err) {
+  const { screenshot, html } = await saveSnapshot(page, { dir: CFG.debugDir, label: step, attempt });
+  RUN.failures.push({ step, attempt, error: String(err?.message || err), screenshot, html });
+}
+
+/**
+ * withRetry() with the run's RETRIES / RETRY_DELAY. With `page`, every failed
+ * attempt is recorded against it; a step whose last attempt fails is listed
+ * under `gaveUp`.
+ */
+async function retrying(step, fn, { page = null } = {}) {
+  const attempt = async (n) => {
+    try {
+      return await fn(n);
+    } catch (err) {
+      if (page) await recordFailure(page, step, n, err);
+      throw err;
+    }
+  };
+  try {
+    return await withRetry(attempt, { label: step, attempts: CFG.retries + 1, baseDelayMs: CFG.retryDelayMs });
+  } catch (err) {
+    RUN.gaveUp.push({ step, error: String(err?.message || err) });
+    throw err;
+  }
+}
+
 async function assertJsRendered(page, label) {
+  if (!SITE.noJsText) return;
   const bodyText = normalizeSpace(await page.locator("body").innerText().catch(() => ""));
-  if (bodyText.toLowerCase().includes("doesn't work properly without javascript enabled")) {
+  if (bodyText.toLowerCase().includes(SITE.noJsText.toLowerCase())) {
     throw new Error(`[${label}] Page did not render (JS-disabled message visible).`);
   }
 }
 
 async function tryDismissCookieBanners(page) {
-  const buttons = [/accep/i, /akkoord/i, /agree/i, /^ok$/i, /alles accep/i];
-  for (const rx of buttons) {
-    const loc = page.getByRole("button", { name: rx }).first();
+  for (const source of SITE.cookieButtons || []) {
+    const loc = page.getByRole("button", { name: new RegExp(source, "i") }).first();
     if (await loc.count()) {
       try {
         await loc.click({ timeout: 1500 });
@@ -84,317 +206,874 @@ async function tryDismissCookieBanners(page) {
   }
 }
 
-/**
- * -------- Pagination: bottom <nav role="navigation">, next via aria-label --------
- */
-async function getCurrentListingPageNumber(page) {
-  const txt = await page
-    .locator('nav[role="navigation"] li[aria-current="true"] p')
+async function firstLocationHref(page) {
+  return await page
+    .locator(SITE.location.linkSelector)
     .first()
-    .textContent()
-    .catch(() => "");
-  const n = Number(normalizeSpace(txt));
-  return Number.isFinite(n) ? n : null;
+    .getAttribute("href")
+    .catch(() => null);
 }
 
-async function clickNextListingPage(page) {
-  const nav = page.locator('nav[role="navigation"]').first();
-  if (!(await nav.count())) return false;
+/**
+ * -------- Pagination --------
+ *
+ * One paginator per profile strategy, all with the same shape:
+ *   current(page)  listing page number shown now (or null)
+ *   next(page)     go to the following page; false when there is none,
+ *                  NavigationError when going there failed
+ *   goto(page, n)  jump to page n (used by RESUME)
+ */
 
-  const before = await getCurrentListingPageNumber(page);
-  const beforeFirstHref = await page
-    .locator('a[href*="locaties/"]')
-    .first()
-    .getAttribute("href")
-    .catch(() => null);
+/**
+ * "click": SPA pager (iedereen.overal.info: bottom <nav role="navigation">,
+ * next via aria-label), pages change without a navigation.
+ */
+function clickPaginator(sel) {
+  async function current(page) {
+    const txt = await page
+      .locator(sel.current)
+      .first()
+      .textContent()
+      .catch(() => "");
+    const n = Number(normalizeSpace(txt));
+    return Number.isFinite(n) ? n : null;
+  }
 
-  const nextBtn = nav.locator('[aria-label="Volgende pagina"]').first();
-  if (!(await nextBtn.count())) return false;
+  /**
+   * Wait until the SPA has rendered another listing page after a pagination click.
+   * Throws a NavigationError when the page number did not change.
+   */
+  async function waitForListingChange(page, before, beforeFirstHref) {
+    await page.waitForLoadState("domcontentloaded", { timeout: 15000 }).catch(() => null);
 
-  const disabled = await nextBtn.getAttribute("aria-disabled").catch(() => null);
-  if (String(disabled).toLowerCase() === "true") return false;
+    // wait for aria-current page number change (best signal)
+    if (before !== null) {
+      await page
+        .waitForFunction(
+          ({ selector, prev }) => {
+            const cur = document.querySelector(selector);
+            const t = cur?.textContent?.trim() || "";
+            const n = Number(t);
+            return Number.isFinite(n) && n !== prev;
+          },
+          { selector: sel.current, prev: before },
+          { timeout: 10000 }
+        )
+        .catch(() => null);
+    }
 
-  try {
-    await nextBtn.scrollIntoViewIfNeeded();
-    await nextBtn.click({ timeout: 4000 });
-  } catch {
-    const li = nextBtn.locator("xpath=ancestor::li[1]");
-    if (await li.count()) {
+    // additional: wait for first href to change (SPA render)
+    if (beforeFirstHref) {
+      await page
+        .waitForFunction(
+          ({ selector, prevHref }) => {
+            const a = document.querySelector(selector);
+            const h = a?.getAttribute("href") || "";
+            return h && h !== prevHref;
+          },
+          { selector: SITE.location.linkSelector, prevHref: beforeFirstHref },
+          { timeout: 10000 }
+        )
+        .catch(() => null);
+    }
+
+    const after = await current(page);
+    if (before !== null && after !== null && before === after) {
+      throw new NavigationError(`listing stayed on page ${before} after the pagination click`);
+    }
+
+    await page.waitForTimeout(500);
+    return true;
+  }
+
+  async function next(page) {
+    const nav = page.locator(sel.nav).first();
+    if (!(await nav.count())) return false;
+
+    const before = await current(page);
+    const beforeFirstHref = await firstLocationHref(page);
+
+    const nextBtn = nav.locator(sel.next).first();
+    if (!(await nextBtn.count())) return false;
+
+    const disabled = await nextBtn.getAttribute("aria-disabled").catch(() => null);
+    if (String(disabled).toLowerCase() === "true") return false;
+
+    try {
+      await nextBtn.scrollIntoViewIfNeeded();
+      await nextBtn.click({ timeout: 4000 });
+    } catch (err) {
+      const li = nextBtn.locator("xpath=ancestor::li[1]");
       try {
+        if (!(await li.count())) throw err;
         await li.click({ timeout: 4000 });
-      } catch {
-        return false;
+      } catch (liErr) {
+        throw new NavigationError(`could not click "next" on listing page ${before}`, { cause: liErr });
       }
-    } else {
-      return false;
     }
-  }
 
-  await page.waitForLoadState("domcontentloaded", { timeout: 15000 }).catch(() => null);
-
-  // wait for aria-current page number change (best signal)
-  if (before !== null) {
-    await page
-      .waitForFunction(
-        (prev) => {
-          const cur = document.querySelector('nav[role="navigation"] li[aria-current="true"] p');
-          const t = cur?.textContent?.trim() || "";
-          const n = Number(t);
-          return Number.isFinite(n) && n !== prev;
-        },
-        before,
-        { timeout: 10000 }
-      )
-      .catch(() => null);
+    return await waitForListingChange(page, before, beforeFirstHref);
   }
 
-  // additional: wait for first href to change (SPA render)
-  if (beforeFirstHref) {
-    await page
-      .waitForFunction(
-        (prevHref) => {
-          const a = document.querySelector('a[href*="locaties/"]');
-          const h = a?.getAttribute("href") || "";
-          return h && h !== prevHref;
-        },
-        beforeFirstHref,
-        { timeout: 10000 }
-      )
-      .catch(() => null);
+  async function visibleNumbers(page) {
+    const txts = await page
+      .locator(sel.numbers)
+      .allTextContents()
+      .catch(() => []);
+    return txts.map((t) => Number(normalizeSpace(t))).filter((n) => Number.isInteger(n) && n > 0);
   }
 
-  const after = await getCurrentListingPageNumber(page);
-  if (before !== null && after !== null && before === after) return false;
+  /**
+   * Jump to listing page `target` without clicking "next" from page 1:
+   * repeatedly click the highest visible page number <= target (the pager shows
+   * a window of numbers, e.g. "1 2 3 … 80"), falling back to "next" when no
+   * numbered link brings us closer.
+   */
+  async function goto(page, target) {
+    const nav = page.locator(sel.nav).first();
 
-  await page.waitForTimeout(500);
-  return true;
-}
+    for (let guard = 0; guard < target + 5; guard++) {
+      const cur = await current(page);
+      if (cur === target) return true;
+      if (cur !== null && cur > target) return false;
 
-/**
- * Extract listing items from current page.
- *
- * Uses the <a href="locaties/..."> itself as the root (so it never mixes cards).
- * Picks the preview image by filtering out medal/icon images.
- */
-async function collectEntriesOnCurrentListingPage(page) {
-  return await page.evaluate(() => {
-    const norm = (s) => String(s || "").replace(/\s+/g, " ").trim();
-    const normalizeUrl = (u) => (u.endsWith("/") ? u : u + "/");
+      const visible = await visibleNumbers(page);
+      const best = visible.filter((n) => n <= target && (cur === null || n > cur)).sort((a, b) => b - a)[0];
 
-    const toAbs = (href) => {
-      if (!href) return null;
-      href = String(href).trim();
-      try {
-        if (/^https?:\/\//i.test(href)) return new URL(href).toString();
-        if (href.startsWith("/")) return new URL(href, location.origin).toString();
-        href = href.replace(/^\.?\//, "");
-        return new URL("/" + href, location.origin).toString();
-      } catch {
-        return null;
+      if (best === undefined) {
+        if (!(await next(page))) return false;
+        continue;
       }
-    };
 
-    const isLoc = (hrefAbs) => {
+      const beforeFirstHref = await firstLocationHref(page);
+      const label = page.locator("p", { hasText: new RegExp(`^\\s*${best}\\s*$`) });
+      const item = nav.locator("li", { has: label }).first();
       try {
-        const u = new URL(hrefAbs);
-        return /^\/locaties\/\d{5}-/i.test(u.pathname);
+        await item.scrollIntoViewIfNeeded();
+        await item.click({ timeout: 4000 });
       } catch {
-        return false;
+        if (!(await next(page))) return false;
+        continue;
       }
-    };
-
-    // Filter out medal/icon images; keep the preview (xano thumbnail etc.)
-    const isDecorationImg = (src, alt) => {
-      const s = String(src || "");
-      const a = String(alt || "");
-      return (
-        /goud|zilver|brons|medaille/i.test(s) ||
-        /goud|zilver|brons|medaille/i.test(a) ||
-        /icon|logo|favicon|precomposed|sprite|apple-touch/i.test(s) ||
-        // most medal assets are local "images/..."
-        /^images\//i.test(s)
-      );
-    };
-
-    const pickPreviewImage = (a) => {
-      const imgs = [...a.querySelectorAll("img")];
+      await waitForListingChange(page, cur, beforeFirstHref);
+    }
+    return false;
+  }
 
-      // Prefer the “real” preview: external xano thumbnail, often has "thumbnail_" and tpl=big
-      const prefer = imgs.find((img) => {
-        const src = img.getAttribute("src") || "";
-        const alt = img.getAttribute("alt") || "";
-        if (!src) return false;
-        if (isDecorationImg(src, alt)) return false;
-        return /xano\.io|thumbnail_|tpl=big/i.test(src);
-      });
-      if (prefer) return prefer.getAttribute("src") || null;
-
-      // Otherwise: first non-decoration img
-      const cand = imgs.find((img) => {
-        const src = img.getAttribute("src") || "";
-        const alt = img.getAttribute("alt") || "";
-        if (!src) return false;
-        if (isDecorationImg(src, alt)) return false;
-        return true;
-      });
-      return cand ? cand.getAttribute("src") : null;
-    };
+  return { current, next, goto };
+}
 
-    const pickTitle = (a) => {
-      // In your snippet, the title is a <p class="ww-text-content"> with text "'t Kroonrad"
-      // The anchor also contains other <p> like "3294 Molenstede", so:
-      // - choose the first short line that has no postal-code pattern and is not too long.
-      const ps = [...a.querySelectorAll("p.ww-text-content, p")].map((p) => norm(p.textContent)).filter(Boolean);
+/**
+ * "url": every listing page has its own address (pageUrl with {page}).
+ * The end is the first page that is missing (404/410) or has no location
+ * links; other HTTP errors are navigation failures.
+ */
+function urlPaginator(sel) {
+  let at = Number(sel.firstPage ?? 1);
 
-      const isPostalLine = (t) => /\b\d{4}\b/.test(t); // 3294 Molenstede
-      const isTooLong = (t) => t.length > 80;
+  async function goto(page, n) {
+    const res = await page.goto(sel.pageUrl.replace("{page}", String(n)), { waitUntil: "domcontentloaded" });
+    const status = res?.status() ?? 200;
+    if (status === 404 || status === 410) return false;
+    if (status >= 400) throw new NavigationError(`listing page ${n}: HTTP ${status}`);
+    await assertJsRendered(page, `listing ${n}`);
+    const found = await page.waitForSelector(SITE.location.linkSelector, { timeout: 20000 }).catch(() => null);
+    if (!found) return false;
+    at = n;
+    return true;
+  }
 
-      // best: first non-postal, not too long
-      const best = ps.find((t) => !isPostalLine(t) && !isTooLong(t));
-      if (best) return best;
+  return {
+    current: async () => at,
+    next: (page) => goto(page, at + 1),
+    goto,
+  };
+}
 
-      // fallback: first <p>
-      return ps[0] || null;
-    };
+// "none": the start page lists everything
+function singlePagePaginator() {
+  return {
+    current: async () => 1,
+    next: async () => false,
+    goto: async (page, n) => n === 1,
+  };
+}
 
-    const pickDescription = (a, title) => {
-      // Often the second line is the address/postal+locality, which is useful.
-      const ps = [...a.querySelectorAll("p.ww-text-content, p")].map((p) => norm(p.textContent)).filter(Boolean);
+function paginatorFor(profile) {
+  const sel = profile.pagination;
+  if (sel.strategy === "url") return urlPaginator(sel);
+  if (sel.strategy === "none") return singlePagePaginator();
+  return clickPaginator(sel);
+}
 
-      // Prefer postal/locality line
-      const postal = ps.find((t) => /\b\d{4}\b/.test(t));
-      if (postal) return postal;
+/**
+ * Listing items on the current page (card heuristics: scripts/lib/cards.mjs).
+ */
+async function collectEntriesOnCurrentListingPage(page) {
+  const origin = new URL(page.url()).origin;
+  return await page.evaluate(collectCards, { loc: SITE.location, card: SITE.card, origin });
+}
 
-      // Else, pick first line that's not the title and not huge
-      const other = ps.find((t) => t !== title && t.length <= 120);
-      return other || null;
-    };
+/**
+ * -------- Checkpoints --------
+ *
+ * { version, config, lastPage, pageCount, done, entries: [...] } where `entries`
+ * keeps Map insertion order, so a resumed merge behaves exactly like one run.
+ */
+const CHECKPOINT_VERSION = 1;
 
-    const anchors = [...document.querySelectorAll('a[href*="locaties/"]')];
+function checkpointConfig() {
+  return {
+    profile: SITE.name,
+    startUrl: CFG.startUrl,
+    maxLocations: CFG.maxLocations,
+    maxListingPages: CFG.maxListingPages,
+  };
+}
 
-    const out = [];
-    for (const a of anchors) {
-      const href = a.getAttribute("href");
-      const abs = toAbs(href);
-      if (!abs || !isLoc(abs)) continue;
+async function writeCheckpoint(state) {
+  if (CFG.dryRun) return;
+  const tmp = `${CFG.checkpointFile}.tmp`;
+  const data = {
+    version: CHECKPOINT_VERSION,
+    updatedAt: new Date().toISOString(),
+    config: checkpointConfig(),
+    ...state,
+  };
+  await ensureDir(path.dirname(CFG.checkpointFile));
+  await fs.writeFile(tmp, JSON.stringify(data), "utf8");
+  await fs.rename(tmp, CFG.checkpointFile);
+}
 
-      const u = new URL(abs);
-      const url = normalizeUrl(u.origin + u.pathname);
+async function readCheckpoint() {
+  let raw;
+  try {
+    raw = await fs.readFile(CFG.checkpointFile, "utf8");
+  } catch {
+    return null;
+  }
+  const cp = JSON.parse(raw);
+  if (cp.version !== CHECKPOINT_VERSION) {
+    throw new Error(`Checkpoint ${CFG.checkpointFile} has version ${cp.version}, expected ${CHECKPOINT_VERSION}.`);
+  }
+  const want = checkpointConfig();
+  for (const [k, v] of Object.entries(want)) {
+    if (cp.config?.[k] !== v) {
+      throw new Error(
+        `Checkpoint ${CFG.checkpointFile} was written with ${k}=${cp.config?.[k]}, current run has ${k}=${v}. ` +
+          `Remove it or run without RESUME=true.`
+      );
+    }
+  }
+  return cp;
+}
 
-      const title = pickTitle(a);
-      const description = pickDescription(a, title);
+/**
+ * -------- Recordings (RECORD / REPLAY) --------
+ *
+ * RECORD=dir keeps the rendered HTML of every merged listing page as
+ * dir/listing-0001.html, … and lists them, in merge order, in dir/index.json:
+ *   { version, profile, startUrl, recordedAt, pages: [{ page, url, file }] }
+ * A resumed crawl appends to the recording it was interrupted in.
+ */
+const RECORDING_VERSION = 1;
+let RECORDING = null;
 
-      const img = pickPreviewImage(a);
-      const imageAbs = img ? toAbs(img) : null;
+async function readRecording(dir) {
+  const rec = JSON.parse(await fs.readFile(path.join(dir, "index.json"), "utf8"));
+  if (rec.version !== RECORDING_VERSION) {
+    throw new Error(`Recording ${dir} has version ${rec.version}, expected ${RECORDING_VERSION}.`);
+  }
+  return rec;
+}
 
-      out.push({ url, title, description, image: imageAbs });
+async function startRecording(resumed) {
+  const previous = resumed ? await readRecording(CFG.recordDir).catch(() => null) : null;
+  if (!previous) {
+    await ensureDir(CFG.recordDir);
+    for (const f of await fs.readdir(CFG.recordDir)) {
+      if (/^listing-\d+\.html$/.test(f)) await fs.rm(path.join(CFG.recordDir, f));
     }
+  }
+  RECORDING = {
+    version: RECORDING_VERSION,
+    profile: SITE.name,
+    startUrl: CFG.startUrl,
+    recordedAt: new Date().toISOString(),
+    pages: previous?.pages ?? [],
+  };
+  console.log(`[record] saving listing pages to ${CFG.recordDir}${previous ? " (appending)" : ""}`);
+}
 
-    // de-dupe by url
-    const m = new Map();
-    for (const e of out) {
-      const prev = m.get(e.url);
-      if (!prev) m.set(e.url, e);
-      else {
-        m.set(e.url, {
-          url: e.url,
-          title: prev.title || e.title,
-          description: prev.description || e.description,
-          image: prev.image || e.image,
-        });
-      }
-    }
-    return [...m.values()];
-  });
+async function recordListingPage(n, url, html) {
+  const file = `listing-${String(RECORDING.pages.length + 1).padStart(4, "0")}.html`;
+  await fs.writeFile(path.join(CFG.recordDir, file), html, "utf8");
+  RECORDING.pages.push({ page: n, url, file });
+  await fs.writeFile(path.join(CFG.recordDir, "index.json"), JSON.stringify(RECORDING, null, 2), "utf8");
 }
 
-async function discoverAllEntries(page) {
+async function openStartPage(page) {
   await page.goto(CFG.startUrl, { waitUntil: "domcontentloaded" });
   await assertJsRendered(page, "start");
   await tryDismissCookieBanners(page);
 
-  await page.waitForSelector('a[href*="locaties/"]', { timeout: 20000 }).catch(() => null);
+  await page.waitForSelector(SITE.location.linkSelector, { timeout: 20000 }).catch(() => null);
   await page.waitForTimeout(800);
+}
 
-  const all = new Map(); // url -> {url,title,description,image}
-  let pageCount = 0;
+function mergeEntries(all, entries) {
+  for (const e of entries) {
+    const cleanUrl = normalizeUrl(stripQueryHash(e.url));
+    const prev = all.get(cleanUrl);
+    all.set(cleanUrl, {
+      url: cleanUrl,
+      title: prev?.title || e.title || null,
+      description: prev?.description || e.description || null,
+      image: prev?.image || e.image || null,
+      medal: prev?.medal || e.medal || null,
+      medalImage: prev?.medalImage || e.medalImage || null,
+    });
+  }
+}
 
-  while (true) {
-    pageCount++;
-    const cur = await getCurrentListingPageNumber(page);
+function limitsReached(state) {
+  return (
+    (CFG.maxLocations > 0 && state.all.size >= CFG.maxLocations) ||
+    (CFG.maxListingPages > 0 && state.pageCount >= CFG.maxListingPages)
+  );
+}
+
+function logListingPage(n, found, state) {
+  const { pageCount, all } = state;
+  console.log(`[listing] page=${n ?? "?"} pageCount=${pageCount} foundHere=${found} totalUnique=${all.size}`);
+}
+
+async function saveProgress(state) {
+  const { lastPage, pageCount, finished, all } = state;
+  await writeCheckpoint({ lastPage, pageCount, done: finished, entries: [...all.values()] });
+}
+
+/**
+ * Move the listing tab from page `from` to the next one: true when it moved,
+ * false when there is no next page. A failed attempt is retried where the tab
+ * is: "next" again when it is still on `from`, otherwise after reloading the
+ * start page and jumping back to `from`.
+ */
+async function nextListingPage(page, pager, from) {
+  return await retrying(
+    `listing page after ${from ?? "?"}`,
+    async (attempt) => {
+      if (attempt > 1 && from !== null) {
+        const cur = await pager.current(page);
+        if (cur === from + 1) return true;
+        if (cur !== from) {
+          await openStartPage(page);
+          const back = await pager.goto(page, from);
+          if (!back) throw new NavigationError(`could not get back to listing page ${from}`);
+        }
+      }
+      return await pager.next(page);
+    },
+    { page }
+  );
+}
+
+/**
+ * One tab, paging through the listing with the profile's paginator.
+ */
+async function discoverSequentially(context, state, resumed) {
+  const page = await context.newPage();
+  const pager = paginatorFor(SITE);
+  await retrying("start page", () => openStartPage(page), { page });
+
+  if (resumed) {
+    const from = state.lastPage;
+    if (from === null) throw new Error(`Checkpoint has no page number to resume from.`);
+    await retrying(
+      `resume at listing page ${from}`,
+      async (attempt) => {
+        if (attempt > 1) await openStartPage(page);
+        if (!(await pager.goto(page, from))) {
+          throw new NavigationError(`[resume] could not navigate back to listing page ${from}.`);
+        }
+      },
+      { page }
+    );
+    // lastPage is already merged; continue with the one after it
+    state.finished = !(await nextListingPage(page, pager, from));
+  }
+
+  while (!state.finished) {
+    state.pageCount++;
+    const cur = await pager.current(page);
+    state.lastPage = cur;
 
     const entries = await collectEntriesOnCurrentListingPage(page);
+    mergeEntries(state.all, entries);
+    logListingPage(cur, entries.length, state);
+    if (RECORDING) await recordListingPage(cur, page.url(), await page.content());
 
-    for (const e of entries) {
-      const cleanUrl = normalizeUrl(stripQueryHash(e.url));
-      const prev = all.get(cleanUrl);
-      all.set(cleanUrl, {
-        url: cleanUrl,
-        title: prev?.title || e.title || null,
-        description: prev?.description || e.description || null,
-        image: prev?.image || e.image || null,
-      });
+    // checkpoint before moving on, so a failing "next" keeps this page
+    state.finished = limitsReached(state);
+    await saveProgress(state);
+    if (!state.finished) {
+      state.finished = !(await nextListingPage(page, pager, cur));
+      if (state.finished) await saveProgress(state);
+    }
+  }
+
+  await page.close().catch(() => null);
+}
+
+/**
+ * { entries, url, html } of listing page n in a tab of its own (html only
+ * when recording), or null past the last page.
+ */
+async function fetchListingPage(context, n) {
+  const step = `listing page ${n}`;
+  return await retrying(step, async (attempt) => {
+    const page = await context.newPage();
+    try {
+      if (!(await urlPaginator(SITE.pagination).goto(page, n))) return null;
+      return {
+        entries: await collectEntriesOnCurrentListingPage(page),
+        url: page.url(),
+        html: RECORDING ? await page.content() : null,
+      };
+    } catch (err) {
+      await recordFailure(page, step, attempt, err);
+      throw err;
+    } finally {
+      await page.close().catch(() => null);
     }
+  });
+}
+
+/**
+ * LISTING_CONCURRENCY>1: open listing pages by address, at most
+ * LISTING_CONCURRENCY tabs at a time, in windows of twice that many pages.
+ * Results are merged in page order, so the outcome is the same as paging
+ * through them. The first missing/empty page ends the listing; a page that
+ * keeps failing ends the run, after checkpointing every page before it.
+ */
+async function discoverInParallel(context, state) {
+  const limit = pLimit(CFG.listingConcurrency);
+  let first = state.lastPage === null ? Number(SITE.pagination.firstPage ?? 1) : state.lastPage + 1;
+  state.finished = limitsReached(state);
+
+  while (!state.finished) {
+    let numbers = Array.from({ length: CFG.listingConcurrency * 2 }, (_, i) => first + i);
+    if (CFG.maxListingPages > 0) numbers = numbers.slice(0, CFG.maxListingPages - state.pageCount);
+    const results = await Promise.allSettled(numbers.map((n) => limit(() => fetchListingPage(context, n))));
+
+    for (const [i, r] of results.entries()) {
+      if (r.status === "rejected") {
+        await saveProgress(state);
+        throw r.reason;
+      }
+      if (r.value === null) {
+        state.finished = true;
+        break;
+      }
+      const { entries, url, html } = r.value;
+      state.pageCount++;
+      state.lastPage = numbers[i];
+      mergeEntries(state.all, entries);
+      logListingPage(numbers[i], entries.length, state);
+      if (RECORDING) await recordListingPage(numbers[i], url, html);
+      if ((state.finished = limitsReached(state))) break;
+    }
+
+    await saveProgress(state);
+    first += numbers.length;
+  }
+}
 
+async function discoverAllEntries(context) {
+  // all: url -> {url,title,description,image,medal,medalImage}
+  const state = { all: new Map(), pageCount: 0, lastPage: null, finished: false };
+
+  const cp = CFG.resume ? await readCheckpoint() : null;
+  if (cp) {
+    for (const e of cp.entries) state.all.set(e.url, e);
+    state.pageCount = cp.pageCount;
+    state.lastPage = cp.lastPage;
+    state.finished = Boolean(cp.done);
     console.log(
-      `[listing] page=${cur ?? "?"} pageCount=${pageCount} foundHere=${entries.length} totalUnique=${all.size}`
+      `[resume] checkpoint lastPage=${state.lastPage ?? "?"} pageCount=${state.pageCount} ` +
+        `totalUnique=${state.all.size} done=${state.finished}`
     );
+  } else if (CFG.resume) {
+    console.log(`[resume] no checkpoint at ${CFG.checkpointFile}; starting from page 1`);
+  }
 
-    if (CFG.maxLocations > 0 && all.size >= CFG.maxLocations) break;
-    if (CFG.maxListingPages > 0 && pageCount >= CFG.maxListingPages) break;
+  if (CFG.recordDir) await startRecording(Boolean(cp));
+  if (!state.finished) {
+    if (CFG.listingConcurrency > 1 && SITE.pagination.pageUrl) await discoverInParallel(context, state);
+    else await discoverSequentially(context, state, Boolean(cp));
+  }
+  return listedItems(state);
+}
+
+/**
+ * REPLAY=dir: the recorded listing pages through the same heuristics and
+ * merge as a live crawl, without a browser.
+ */
+async function replayEntries() {
+  const rec = await readRecording(CFG.replayDir);
+  console.log(`[replay] ${rec.pages.length} listing pages recorded ${rec.recordedAt} (profile=${rec.profile})`);
 
-    const didNext = await clickNextListingPage(page);
-    if (!didNext) break;
+  const state = { all: new Map(), pageCount: 0 };
+  for (const p of rec.pages) {
+    const html = await fs.readFile(path.join(CFG.replayDir, p.file), "utf8");
+    const entries = listingPageEntries(html, { profile: SITE, url: p.url });
+    state.pageCount++;
+    mergeEntries(state.all, entries);
+    logListingPage(p.page, entries.length, state);
+    if (limitsReached(state)) break;
   }
+  return listedItems(state);
+}
+
+function listedItems(state) {
+  RUN.listingPages = state.pageCount;
 
-  let items = [...all.values()].sort((a, b) => a.url.localeCompare(b.url));
+  let items = [...state.all.values()].sort((a, b) => a.url.localeCompare(b.url));
   if (CFG.maxLocations > 0) items = items.slice(0, CFG.maxLocations);
 
   console.log(`[listing] DONE discovered=${items.length}`);
   return items;
 }
 
-async function main() {
-  await ensureDir(path.dirname(CFG.outFile));
+/**
+ * -------- Detail pages (one per location) --------
+ *
+ * The detail page has no stable class names, so everything is read from the
+ * rendered text in document order:
+ * - "lines" are elements with their own (direct) text, headings marked
+ * - measurements are lines holding a number + unit, labelled by the line before
+ *   (or by the "label: value" text itself)
+ * - yes/no facts are a label line followed by ja/nee
+ * - opening hours are lines starting with a weekday
+ * The language-specific patterns come from the profile's `details`.
+ */
+async function collectDetailsOnCurrentPage(page) {
+  return await page.evaluate((pat) => {
+    const rx = (source) => new RegExp(source, "i");
+    const norm = (s) => String(s || "").replace(/\s+/g, " ").trim();
+    const uniq = (arr) => [...new Set(arr.filter(Boolean))];
+
+    const lines = [];
+    for (const el of document.body.querySelectorAll("*")) {
+      if (/^(SCRIPT|STYLE|NOSCRIPT|TEMPLATE|SVG)$/i.test(el.tagName)) continue;
+      if (el.closest("nav, header, footer")) continue;
+      const own = norm(
+        [...el.childNodes]
+          .filter((n) => n.nodeType === Node.TEXT_NODE)
+          .map((n) => n.textContent)
+          .join(" ")
+      );
+      if (!own) continue;
+      const heading = /^H[1-6]$/.test(el.tagName) || el.getAttribute("role") === "heading";
+      const prev = lines[lines.length - 1];
+      if (prev && prev.text === own) continue;
+      lines.push({ text: own, heading });
+    }
+
+    const title = norm(document.querySelector("h1")?.textContent) || lines.find((l) => l.heading)?.text || null;
+
+    // Address: first "0000 Locality" line; the line right before it is the street when it looks like one
+    const isPostalLine = (t) => rx(pat.postalLinePattern).test(t) && t.length <= 80;
+    const isStreetLine = (t) => /\d/.test(t) && t.length <= 80 && !/:/.test(t);
+    const postalIdx = lines.findIndex((l) => isPostalLine(l.text));
+    let address = null;
+    if (postalIdx >= 0) {
+      const before = postalIdx > 0 ? lines[postalIdx - 1].text : null;
+      const street = before && isStreetLine(before) && !isPostalLine(before) ? before : null;
+      const postalLine = lines[postalIdx].text;
+      address = { street, postalLine, full: [street, postalLine].filter(Boolean).join(", ") };
+    }
+
+    // Contact: tel:/mailto: links, plus external websites (not this site, not the image vault)
+    const links = [...document.querySelectorAll("a[href]")].map((a) => a.getAttribute("href") || "");
+    const phone = uniq(links.filter((h) => /^tel:/i.test(h)).map((h) => norm(decodeURIComponent(h.slice(4)))));
+    const email = uniq(
+      links.filter((h) => /^mailto:/i.test(h)).map((h) => norm(decodeURIComponent(h.slice(7)).split("?")[0]))
+    );
+    const website = uniq(
+      links
+        .filter((h) => /^https?:\/\//i.test(h))
+        .filter((h) => {
+          try {
+            const u = new URL(h);
+            return u.origin !== location.origin && !(pat.ignoredLinkHosts && rx(pat.ignoredLinkHosts).test(u.hostname));
+          } catch {
+            return false;
+          }
+        })
+    );
+
+    // Opening hours: "Maandag 09:00 - 17:00" or "Maandag" followed by a time/closed line
+    const dayRx = rx(`^(${pat.weekdays.join("|")})\\b[:\\s]*(.*)$`);
+    const hoursRx = rx(pat.hoursPattern);
+    const openingHours = [];
+    for (let i = 0; i < lines.length; i++) {
+      const m = lines[i].text.match(dayRx);
+      if (!m) continue;
+      let hours = norm(m[2]);
+      if (!hours && lines[i + 1] && hoursRx.test(lines[i + 1].text)) hours = lines[i + 1].text;
+      if (!hours) continue;
+      const day = m[1].toLowerCase();
+      if (!openingHours.some((o) => o.day === day)) openingHours.push({ day, hours });
+    }
+
+    // Accessibility: measurements and yes/no facts, grouped under the nearest heading
+    const unitRx = rx(pat.unitPattern);
+    const yesNoRx = rx(pat.yesNoPattern);
+    const accessibility = [];
+    let section = null;
+    for (let i = 0; i < lines.length; i++) {
+      const { text, heading } = lines[i];
+      if (heading) {
+        section = text;
+        continue;
+      }
+      const prev = i > 0 && !lines[i - 1].heading ? lines[i - 1].text : null;
+
+      const unit = text.match(unitRx);
+      if (unit && text.length <= 120) {
+        const colon = text.indexOf(":");
+        const label = colon > 0 ? norm(text.slice(0, colon)) : prev;
+        const value = colon > 0 ? norm(text.slice(colon + 1)) : text;
+        if (!label || label === value) continue;
+        accessibility.push({
+          section,
+          label,
+          value,
+          number: Number(unit[1].replace(",", ".")),
+          unit: unit[2].toLowerCase(),
+        });
+        continue;
+      }
+
+      if (yesNoRx.test(text) && prev && !yesNoRx.test(prev) && prev.length <= 120) {
+        accessibility.push({ section, label: prev, value: text, number: null, unit: null });
+      }
+    }
+
+    return {
+      title,
+      address,
+      contact: { phone, email, website },
+      openingHours,
+      accessibility,
+    };
+  }, SITE.details);
+}
+
+async function fetchDetails(context, url) {
+  const step = `detail ${url}`;
+  return await retrying(step, async (attempt) => {
+    const page = await context.newPage();
+    try {
+      await page.goto(url, { waitUntil: "domcontentloaded", timeout: 30000 });
+      await assertJsRendered(page, step);
+      await page.waitForSelector("h1, p", { timeout: 20000 }).catch(() => null);
+      await page.waitForTimeout(500);
+      return await collectDetailsOnCurrentPage(page);
+    } catch (err) {
+      await recordFailure(page, step, attempt, err);
+      throw err;
+    } finally {
+      await page.close().catch(() => null);
+    }
+  });
+}
+
+async function enrichWithDetails(context, entries) {
+  const limit = pLimit(CFG.detailConcurrency);
+  let done = 0;
+
+  return await Promise.all(
+    entries.map((e) =>
+      limit(async () => {
+        let details = null;
+        let detailsError = null;
+        try {
+          details = { fetchedAt: new Date().toISOString(), ...(await fetchDetails(context, e.url)) };
+          RUN.detailPages++;
+        } catch (err) {
+          detailsError = String(err?.message || err);
+        }
+        done++;
+        console.log(
+          `[detail] ${done}/${entries.length} ${e.url} ${
+            details ? `measurements=${details.accessibility.length}` : `FAILED ${detailsError}`
+          }`
+        );
+        return { ...e, details, detailsError };
+      })
+    )
+  );
+}
+
+/**
+ * Crawl and write CFG.outFile (unless dry-run). Returns the records.
+ * The run summary is printed and written to DEBUG_DIR whether or not it succeeds.
+ */
+export async function extract(cfg = extractConfig(process.env)) {
+  SITE = await loadProfile(cfg.profile);
+  CFG = { ...cfg, startUrl: cfg.startUrl || SITE.startUrl };
+  RECORDING = null;
+  if (CFG.recordDir && CFG.replayDir) throw new Error("RECORD and REPLAY cannot be combined.");
+  if (CFG.replayDir && CFG.details) {
+    console.warn(`[config] REPLAY only covers listing pages; DETAILS is ignored`);
+    CFG.details = false;
+  }
+  if (CFG.details && !SITE.details) {
+    throw new Error(`Profile ${SITE.name} has no "details" patterns; run without DETAILS.`);
+  }
+  if (CFG.listingConcurrency > 1 && !SITE.pagination.pageUrl) {
+    console.warn(`[config] profile ${SITE.name} has no pagination.pageUrl; listing pages are crawled one by one`);
+  }
 
+  console.log(`[config] profile=${SITE.name}`);
   console.log(`[config] startUrl=${CFG.startUrl}`);
-  console.log(`[config] outFile=${CFG.outFile}`);
+  console.log(`[config] outFile=${CFG.outFile}${CFG.dryRun ? " (dry run, not written)" : ""}`);
+  console.log(`[config] details=${CFG.details}`);
+  console.log(`[config] checkpoint=${CFG.checkpointFile} resume=${CFG.resume}`);
+  console.log(`[config] retries=${CFG.retries} listingConcurrency=${CFG.listingConcurrency} debugDir=${CFG.debugDir}`);
+  if (CFG.recordDir) console.log(`[config] record=${CFG.recordDir}`);
+  if (CFG.replayDir) console.log(`[config] replay=${CFG.replayDir} (no browser)`);
 
-  const browser = await chromium.launch({ headless: !CFG.headful });
-  const context = await browser.newContext({
-    userAgent:
-      "Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120 Safari/537.36",
-    locale: "nl-BE",
+  RUN = createRunSummary({
+    profile: SITE.name,
+    startUrl: CFG.startUrl,
+    details: CFG.details,
+    retries: CFG.retries,
+    listingConcurrency: CFG.listingConcurrency,
+    record: CFG.recordDir,
+    replay: CFG.replayDir,
+    dryRun: CFG.dryRun,
   });
 
-  const listingPage = await context.newPage();
-  const entries = await discoverAllEntries(listingPage);
+  let browser = null;
+  try {
+    let entries;
+    if (CFG.replayDir) {
+      entries = await replayEntries();
+    } else {
+      browser = await chromium.launch({ headless: !CFG.headful });
+      const context = await browser.newContext({
+        userAgent:
+          "Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120 Safari/537.36",
+        locale: SITE.locale || "en",
+      });
+
+      entries = await discoverAllEntries(context);
+
+      if (CFG.details && entries.length) {
+        console.log(`[detail] visiting ${entries.length} pages (concurrency=${CFG.detailConcurrency})`);
+        entries = await enrichWithDetails(context, entries);
+      }
 
-  await browser.close();
+      await browser.close();
+      browser = null;
+    }
+
+    if (entries.length === 0) {
+      throw Object.assign(new Error("Discovered 0 locations."), { exitCode: 2 });
+    }
 
-  if (entries.length === 0) {
-    console.error(`[fatal] Discovered 0 locations.`);
-    process.exit(2);
+    const buildings = await writeBuildings(entries);
+    if (CFG.historyPath) await recordHistory(buildings, CFG);
+    RUN.records = buildings.length;
+    RUN.outcome = "ok";
+    return buildings;
+  } catch (err) {
+    RUN.outcome = "failed";
+    RUN.error = String(err?.message || err);
+    throw err;
+  } finally {
+    await browser?.close().catch(() => null);
+    RUN.finishedAt = new Date().toISOString();
+    logRunSummary(RUN);
+    const file = await writeRunSummary(RUN, CFG.debugDir).catch(() => null);
+    if (file) console.log(`[summary] wrote ${file}`);
   }
+}
 
-  // Final output objects
+/**
+ * Merge a finished crawl into cfg.historyPath (not saved on dry runs). A crawl
+ * cut short by MAX_LOCATIONS / MAX_LISTING_PAGES tombstones nothing. Replays
+ * are never recorded: an old snapshot stamped with today's date would remove
+ * or bring back current locations. `pipeline` calls this itself once the new
+ * crawl has replaced OUT.
+ */
+export async function recordHistory(buildings, cfg) {
+  if (cfg.replayDir) {
+    console.log(`[history] replay: ${cfg.historyPath} not updated (the recording is not a new crawl)`);
+    return null;
+  }
+  const partial = cfg.maxLocations > 0 || cfg.maxListingPages > 0;
+  const { crawl } = await updateHistory(buildings, { historyPath: cfg.historyPath, partial, dryRun: cfg.dryRun });
+  const { added, changed, removed, restored } = crawl;
+  console.log(
+    crawl.baseline
+      ? `[history] baseline of ${added.length} locations recorded in ${cfg.historyPath}`
+      : `[history] ${added.length} new, ${changed.length} changed, ${removed.length} removed, ` +
+          `${restored.length} back${partial ? " (partial crawl: nothing removed)" : ""}`
+  );
+  if (cfg.dryRun) console.log(`[dry-run] ${cfg.historyPath} not updated`);
+  return crawl;
+}
+
+/**
+ * Final output objects; written to CFG.outFile unless dry-run.
+ */
+async function writeBuildings(entries) {
+  const centroids = await loadCentroids();
   const buildings = entries.map((e) => {
-    const keyInfo = parseKey(e.url);
+    const keyInfo = parseKey(SITE, e.url);
+    const address = parseAddress(e.description || e.details?.address?.postalLine);
     return {
       url: e.url,
+      source: SITE.name,
       ...keyInfo,
       title: e.title || keyInfo.key || e.url,
       description: e.description || null,
       image: e.image || null,
+      medal: e.medal || null,
+      medalImage: e.medalImage || null,
+      ...address,
+      ...geocode(address, centroids),
       canonical: e.url,
+      ...(CFG.details ? { details: e.details || null } : {}),
+      ...(e.detailsError ? { detailsError: e.detailsError } : {}),
     };
   });
 
-  await fs.writeFile(CFG.outFile, JSON.stringify(buildings, null, 2), "utf8");
-  console.log(`Wrote ${buildings.length} records to ${CFG.outFile}`);
+  if (CFG.dryRun) {
+    console.log(`[dry-run] would write ${buildings.length} records to ${CFG.outFile}`);
+  } else {
+    await ensureDir(path.dirname(CFG.outFile));
+    await fs.writeFile(CFG.outFile, JSON.stringify(buildings, null, 2), "utf8");
+    console.log(`Wrote ${buildings.length} records to ${CFG.outFile}`);
+  }
+
+  const unparsed = buildings.filter((b) => b.addressIssue);
+  if (unparsed.length) {
+    console.warn(`[address] ${unparsed.length} records without a parseable postal line:`);
+    for (const b of unparsed) console.warn(`  ${b.addressIssue}\t${b.key}\t${b.postalLine ?? ""}`);
+  }
+
+  if (!CFG.dryRun && !CFG.replayDir) await fs.rm(CFG.checkpointFile, { force: true });
+  return buildings;
 }
 
-main().catch((e) => {
-  console.error(e?.stack || e);
-  process.exit(1);
-});
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  extract().catch((e) => {
+    console.error(e?.stack || e);
+    process.exit(e?.exitCode ?? 1);
+  });
+}
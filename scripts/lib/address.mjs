@@ -0,0 +1,66 @@
+/**
+ * Belgian postal-line parsing, shared by extract.mjs and build.mjs.
+ *
+ * "8660 De Panne"            -> postalCode 8660, municipality "De Panne"
+ * "Zeedijk 1, 8660 De Panne" -> same (street part is ignored here)
+ *
+ * Province and region come from the Belgian postal code ranges (bpost).
+ * Brussels is a region without a province, so `province` is null there.
+ */
+
+const RANGES = [
+  { from: 1000, to: 1299, province: null, region: "Brussels Hoofdstedelijk Gewest" },
+  { from: 1300, to: 1499, province: "Waals-Brabant", region: "Wallonië" },
+  { from: 1500, to: 1999, province: "Vlaams-Brabant", region: "Vlaanderen" },
+  { from: 2000, to: 2999, province: "Antwerpen", region: "Vlaanderen" },
+  { from: 3000, to: 3499, province: "Vlaams-Brabant", region: "Vlaanderen" },
+  { from: 3500, to: 3999, province: "Limburg", region: "Vlaanderen" },
+  { from: 4000, to: 4999, province: "Luik", region: "Wallonië" },
+  { from: 5000, to: 5999, province: "Namen", region: "Wallonië" },
+  { from: 6000, to: 6599, province: "Henegouwen", region: "Wallonië" },
+  { from: 6600, to: 6999, province: "Luxemburg", region: "Wallonië" },
+  { from: 7000, to: 7999, province: "Henegouwen", region: "Wallonië" },
+  { from: 8000, to: 8999, province: "West-Vlaanderen", region: "Vlaanderen" },
+  { from: 9000, to: 9999, province: "Oost-Vlaanderen", region: "Vlaanderen" },
+];
+
+const POSTAL_LINE_RX = /(?:^|,\s*)(?:B-|BE-)?(\d{4})\s+([^\d,][^,]*)$/i;
+
+export function regionForPostalCode(postalCode) {
+  const n = Number(postalCode);
+  const r = RANGES.find((x) => n >= x.from && n <= x.to);
+  return r ? { province: r.province, region: r.region } : null;
+}
+
+/**
+ * Parse a listing/detail postal line.
+ *
+ * Always returns the same shape; `addressIssue` is null when the line parsed,
+ * "missing" when there was no line and "unparsed" when it did not look like
+ * "0000 Municipality" (the raw line is still kept in `postalLine`).
+ */
+export function parseAddress(line) {
+  const raw = String(line ?? "").replace(/\s+/g, " ").trim();
+  const empty = {
+    postalLine: raw || null,
+    postalCode: null,
+    municipality: null,
+    province: null,
+    region: null,
+  };
+  if (!raw) return { ...empty, addressIssue: "missing" };
+
+  const m = raw.match(POSTAL_LINE_RX);
+  const region = m ? regionForPostalCode(m[1]) : null;
+  if (!m || !region) return { ...empty, addressIssue: "unparsed" };
+
+  const municipality = m[2].replace(/\s*\((?:België|Belgique|Belgium|BE)\)\s*$/i, "").trim();
+  return {
+    postalLine: raw,
+    postalCode: m[1],
+    municipality,
+    province: region.province,
+    region: region.region,
+    addressIssue: null,
+  };
+}
@@ -0,0 +1,176 @@
+/**
+ * Listing-card heuristics: turn one rendered listing page into entries
+ * { url, title, description, image, medal, medalImage }.
+ *
+ * collectCards() runs in two places:
+ * - in the browser, passed to page.evaluate() by extract.mjs during a crawl
+ * - in Node, over saved HTML (REPLAY=dir) via listingPageEntries() and linkedom
+ *
+ * page.evaluate() ships the function's source text to the page, so it must
+ * stay self-contained: no imports, no module-level helpers, only its
+ * arguments and standard DOM/URL APIs.
+ */
+
+import { parseHTML } from "linkedom";
+
+/**
+ * Entries of one listing page.
+ *
+ * Uses the location link itself as the root (so it never mixes cards).
+ * Picks the preview image by filtering out medal/icon images.
+ * Medal images are not thrown away: they become the normalized `medal` field.
+ *
+ * `loc` / `card` are the profile's location and card sections, `origin` the
+ * origin the page was served from (relative links resolve against it).
+ */
+export function collectCards({ loc, card, origin }, root = document) {
+  const norm = (s) => String(s || "").replace(/\s+/g, " ").trim();
+  const normalizeUrl = (u) => (u.endsWith("/") ? u : u + "/");
+  const rx = (source) => new RegExp(source, "i");
+
+  const toAbs = (href) => {
+    if (!href) return null;
+    href = String(href).trim();
+    try {
+      if (/^https?:\/\//i.test(href)) return new URL(href).toString();
+      if (href.startsWith("/")) return new URL(href, origin).toString();
+      href = href.replace(/^\.?\//, "");
+      return new URL("/" + href, origin).toString();
+    } catch {
+      return null;
+    }
+  };
+
+  const locPath = rx(loc.pathPattern);
+  const isLoc = (hrefAbs) => {
+    try {
+      return locPath.test(new URL(hrefAbs).pathname);
+    } catch {
+      return false;
+    }
+  };
+
+  // Filter out medal/icon images; keep the preview
+  const decorationSrc = card.decorationSrcPattern ? rx(card.decorationSrcPattern) : null;
+  const decorationAlt = card.decorationAltPattern ? rx(card.decorationAltPattern) : null;
+  const isDecorationImg = (src, alt) =>
+    Boolean(decorationSrc?.test(String(src || "")) || decorationAlt?.test(String(alt || "")));
+
+  // Medal asset -> normalized level (from file name or alt)
+  const medalPattern = card.medal ? rx(card.medal.pattern) : null;
+  const medalLevel = (src, alt) => {
+    const t = `${src || ""} ${alt || ""}`;
+    for (const [level, source] of Object.entries(card.medal.levels)) {
+      if (rx(source).test(t)) return level;
+    }
+    return null;
+  };
+
+  const pickMedal = (a) => {
+    if (!medalPattern) return { medal: null, medalImage: null };
+    for (const img of a.querySelectorAll("img")) {
+      const src = img.getAttribute("src") || "";
+      const alt = img.getAttribute("alt") || "";
+      if (!src || !medalPattern.test(`${src} ${alt}`)) continue;
+      const level = medalLevel(src, alt);
+      if (level) return { medal: level, medalImage: src };
+    }
+    return { medal: null, medalImage: null };
+  };
+
+  const preferred = card.preferredImagePattern ? rx(card.preferredImagePattern) : null;
+  const pickPreviewImage = (a) => {
+    const imgs = [...a.querySelectorAll("img")].filter((img) => {
+      const src = img.getAttribute("src") || "";
+      return src && !isDecorationImg(src, img.getAttribute("alt"));
+    });
+
+    // Prefer the "real" preview (profile pattern), otherwise the first non-decoration img
+    const prefer = preferred && imgs.find((img) => preferred.test(img.getAttribute("src")));
+    const cand = prefer || imgs[0];
+    return cand ? cand.getAttribute("src") : null;
+  };
+
+  const isPostalLine = (t) => rx(card.postalLinePattern).test(t);
+  const texts = (a) => [...a.querySelectorAll(card.textSelector)].map((p) => norm(p.textContent)).filter(Boolean);
+
+  const pickTitle = (a) => {
+    // The card holds the title and the postal line ("3294 Molenstede") as separate texts:
+    // choose the first short text that is not a postal line.
+    const ps = texts(a);
+    const best = ps.find((t) => !isPostalLine(t) && t.length <= (card.maxTitleLength ?? 80));
+    if (best) return best;
+
+    // fallback: first text
+    return ps[0] || null;
+  };
+
+  const pickDescription = (a, title) => {
+    // Often the second line is the address/postal+locality, which is useful.
+    const ps = texts(a);
+
+    // Prefer postal/locality line
+    const postal = ps.find((t) => isPostalLine(t));
+    if (postal) return postal;
+
+    // Else, pick first line that's not the title and not huge
+    const other = ps.find((t) => t !== title && t.length <= 120);
+    return other || null;
+  };
+
+  const anchors = [...root.querySelectorAll(loc.linkSelector)];
+
+  const out = [];
+  for (const a of anchors) {
+    const href = a.getAttribute("href");
+    const abs = toAbs(href);
+    if (!abs || !isLoc(abs)) continue;
+
+    const u = new URL(abs);
+    const url = normalizeUrl(u.origin + u.pathname);
+
+    const title = pickTitle(a);
+    const description = pickDescription(a, title);
+
+    const img = pickPreviewImage(a);
+    const imageAbs = img ? toAbs(img) : null;
+
+    const { medal, medalImage } = pickMedal(a);
+
+    out.push({
+      url,
+      title,
+      description,
+      image: imageAbs,
+      medal,
+      medalImage: medalImage ? toAbs(medalImage) : null,
+    });
+  }
+
+  // de-dupe by url
+  const m = new Map();
+  for (const e of out) {
+    const prev = m.get(e.url);
+    if (!prev) m.set(e.url, e);
+    else {
+      m.set(e.url, {
+        url: e.url,
+        title: prev.title || e.title,
+        description: prev.description || e.description,
+        image: prev.image || e.image,
+        medal: prev.medal || e.medal,
+        medalImage: prev.medalImage || e.medalImage,
+      });
+    }
+  }
+  return [...m.values()];
+}
+
+/**
+ * collectCards() over saved HTML. `url` is the address the page was saved
+ * from; relative links resolve against its origin.
+ */
+export function listingPageEntries(html, { profile, url }) {
+  const { document } = parseHTML(html);
+  return collectCards({ loc: profile.location, card: profile.card, origin: new URL(url).origin }, document);
+}
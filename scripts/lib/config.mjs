@@ -0,0 +1,202 @@
+/**
+ * Settings shared by scripts/cli.mjs, extract.mjs, build.mjs and deploy.mjs.
+ *
+ * Every setting has one env var (what the scripts read when run directly),
+ * one --flag and one key in the project config file. Precedence, lowest first:
+ *   built-in default < config file < env var < --flag
+ *
+ * The CLI folds all sources into one env-shaped object ({ START_URL: "...", ... })
+ * and hands it to extractConfig() / buildConfig() / deployConfig(), so each setting is parsed in
+ * exactly one place.
+ *
+ * Config file (default ./iedereenoveral.config.json, optional unless --config is
+ * given), keys grouped by section:
+ *   {
+ *     "extract": { "maxLocations": 50, "details": true },
+ *     "build": { "siteUrl": "https://pod.example/iedereenoveral/" },
+ *     "deploy": { "target": "https://pod.example/iedereenoveral/" },
+ *     "pipeline": { "minRatio": 0.8 }
+ *   }
+ */
+
+import fs from "node:fs/promises";
+
+export const CONFIG_FILE = "iedereenoveral.config.json";
+
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+/**
+ * `key` is the config-file key, `path` the property in the resolved config
+ * object (for --help defaults) when it differs from `key`; `min` / `max`
+ * bound number settings.
+ */
+export const SETTINGS = [
+  { section: "global", key: "dryRun", env: "DRY_RUN", flag: "dry-run", type: "boolean", help: "Report what would happen, write nothing" },
+  { section: "global", key: "history", env: "HISTORY", flag: "history", type: "string", path: "historyPath", help: "Location history (extract adds each crawl, build renders changes.html)" },
+
+  { section: "extract", key: "profile", env: "PROFILE", flag: "profile", type: "string", help: "Site profile name or module path" },
+  { section: "extract", key: "startUrl", env: "START_URL", flag: "start-url", type: "string", help: "Listing page to crawl (default: the profile's)" },
+  { section: "extract", key: "out", env: "OUT", flag: "out", type: "string", path: "outFile", help: "Where the crawl is written" },
+  { section: "extract", key: "maxLocations", env: "MAX_LOCATIONS", flag: "max-locations", type: "number", min: 0, help: "Stop after N locations (0 = no limit)" },
+  { section: "extract", key: "maxListingPages", env: "MAX_LISTING_PAGES", flag: "max-listing-pages", type: "number", min: 0, help: "Stop after N listing pages (0 = all)" },
+  { section: "extract", key: "headful", env: "HEADFUL", flag: "headful", type: "boolean", help: "Show the browser window" },
+  { section: "extract", key: "details", env: "DETAILS", flag: "details", type: "boolean", help: "Also visit every location page" },
+  { section: "extract", key: "detailConcurrency", env: "DETAIL_CONCURRENCY", flag: "detail-concurrency", type: "number", min: 1, help: "Parallel detail pages" },
+  { section: "extract", key: "checkpoint", env: "CHECKPOINT", flag: "checkpoint", type: "string", path: "checkpointFile", help: "Checkpoint file" },
+  { section: "extract", key: "resume", env: "RESUME", flag: "resume", type: "boolean", help: "Continue from the checkpoint" },
+  { section: "extract", key: "retries", env: "RETRIES", flag: "retries", type: "number", min: 0, help: "Extra attempts per page before giving up" },
+  { section: "extract", key: "retryDelay", env: "RETRY_DELAY", flag: "retry-delay", type: "number", min: 0, path: "retryDelayMs", help: "ms before the first retry (doubles each retry)" },
+  { section: "extract", key: "debugDir", env: "DEBUG_DIR", flag: "debug-dir", type: "string", help: "Failure snapshots and run-summary.json" },
+  { section: "extract", key: "listingConcurrency", env: "LISTING_CONCURRENCY", flag: "listing-concurrency", type: "number", min: 1, help: "Parallel listing pages (profiles with pagination.pageUrl)" },
+  { section: "extract", key: "record", env: "RECORD", flag: "record", type: "string", path: "recordDir", help: "Save every rendered listing page into this folder" },
+  { section: "extract", key: "replay", env: "REPLAY", flag: "replay", type: "string", path: "replayDir", help: "Extract from a recording instead of the site (no browser)" },
+
+  { section: "build", key: "data", env: "DATA", flag: "data", type: "string", path: "dataPath", help: "Records to validate/build (comma-separated files are merged)" },
+  { section: "build", key: "dist", env: "DIST", flag: "dist", type: "string", help: "Output folder" },
+  { section: "build", key: "pageSize", env: "PAGE_SIZE", flag: "page-size", type: "number", min: 1, help: "Cards per page" },
+  { section: "build", key: "exports", env: "EXPORTS", flag: "exports", type: "string", help: "Export formats: json, csv, geocsv, sqlite, datapackage (comma-separated)" },
+  { section: "build", key: "exportJson", env: "EXPORT_JSON", flag: "export-json", type: "boolean", help: "Shorthand for adding json to --exports" },
+  { section: "build", key: "license", env: "DATA_LICENSE", flag: "license", type: "string", help: "SPDX licence id for datapackage.json (default: source terms)" },
+  { section: "build", key: "mirrorImages", env: "MIRROR_IMAGES", flag: "mirror-images", type: "boolean", help: "Serve thumbnails from img/" },
+  { section: "build", key: "imageCache", env: "IMAGE_CACHE", flag: "image-cache", type: "string", help: "Image download cache" },
+  { section: "build", key: "imageConcurrency", env: "IMAGE_CONCURRENCY", flag: "image-concurrency", type: "number", min: 1, help: "Parallel image downloads" },
+  { section: "build", key: "checkLinks", env: "CHECK_LINKS", flag: "check-links", type: "boolean", path: "links.enabled", help: "Check every original url and thumbnail before rendering" },
+  { section: "build", key: "linkCache", env: "LINK_CACHE", flag: "link-cache", type: "string", path: "links.cachePath", help: "Link check results between builds" },
+  { section: "build", key: "linkConcurrency", env: "LINK_CONCURRENCY", flag: "link-concurrency", type: "number", min: 1, path: "links.concurrency", help: "Parallel link checks" },
+  { section: "build", key: "linkRetries", env: "LINK_RETRIES", flag: "link-retries", type: "number", min: 0, path: "links.retries", help: "Extra attempts for unreachable links" },
+  { section: "build", key: "linkMaxAge", env: "LINK_MAX_AGE", flag: "link-max-age", type: "number", min: 0, path: "links.maxAgeHours", help: "Hours a cached link result is reused" },
+  { section: "build", key: "merges", env: "MERGES", flag: "merges", type: "string", path: "duplicates.mergesPath", help: "Curated merge list of duplicate venues" },
+  { section: "build", key: "duplicatesReview", env: "DUPLICATES_REVIEW", flag: "duplicates-review", type: "string", path: "duplicates.reviewPath", help: "Review file listing candidate duplicates" },
+  { section: "build", key: "duplicateThreshold", env: "DUPLICATE_THRESHOLD", flag: "duplicate-threshold", type: "number", min: 0, max: 1, path: "duplicates.threshold", help: "Score (0-1: title similarity, raised by a shared image) for a duplicate candidate" },
+  { section: "build", key: "templates", env: "TEMPLATES", flag: "templates", type: "string", path: "templatesDir", help: "Folder with template overrides (layout/page/pager/card.mjs)" },
+  { section: "build", key: "theme", env: "THEME", flag: "theme", type: "string", path: "themeDir", help: "Folder copied over the built-in theme into dist/" },
+  { section: "build", key: "changedOnly", env: "CHANGED_ONLY", flag: "changed-only", type: "boolean", path: "changedOnly", help: "Print only the A/M/D list of changed outputs (for deploy steps)" },
+  { section: "build", key: "siteUrl", env: "SITE_URL", flag: "site-url", type: "string", path: "discovery.siteUrl", help: "Published URL of dist/ (enables sitemap/feed)" },
+  { section: "build", key: "feedSize", env: "FEED_SIZE", flag: "feed-size", type: "number", min: 1, path: "discovery.feedSize", help: "Max entries in feed.atom" },
+  { section: "build", key: "feedManifest", env: "FEED_MANIFEST", flag: "feed-manifest", type: "string", path: "discovery.manifestPath", help: "Feed state between builds" },
+  { section: "build", key: "ldes", env: "LDES", flag: "ldes", type: "boolean", path: "ldes.enabled", help: "Publish ldes/, a Linked Data Event Stream of location versions" },
+  { section: "build", key: "ldesState", env: "LDES_STATE", flag: "ldes-state", type: "string", path: "ldes.statePath", help: "Event stream versions between builds" },
+  { section: "build", key: "ldesFragmentSize", env: "LDES_FRAGMENT_SIZE", flag: "ldes-fragment-size", type: "number", min: 1, path: "ldes.fragmentSize", help: "ID range width / max members per municipality fragment" },
+
+  { section: "deploy", key: "target", env: "DEPLOY_TARGET", flag: "target", type: "string", help: "Pod container URL to deploy dist/ to" },
+  { section: "deploy", key: "oidcIssuer", env: "SOLID_OIDC_ISSUER", flag: "oidc-issuer", type: "string", path: "issuer", help: "Solid-OIDC issuer of the client credentials" },
+  { section: "deploy", key: "clientId", env: "SOLID_CLIENT_ID", flag: "client-id", type: "string", help: "Client credentials id (secret: env SOLID_CLIENT_SECRET)" },
+  { section: "deploy", key: "public", env: "DEPLOY_PUBLIC", flag: "public", type: "boolean", path: "publicRead", help: "Make the deployed container publicly readable" },
+  { section: "deploy", key: "access", env: "DEPLOY_ACCESS", flag: "access", type: "string", help: "Access control system for --public: auto, wac or acp" },
+  { section: "deploy", key: "concurrency", env: "DEPLOY_CONCURRENCY", flag: "deploy-concurrency", type: "number", min: 1, help: "Parallel uploads" },
+  { section: "pipeline", key: "minRatio", env: "MIN_RECORD_RATIO", flag: "min-ratio", type: "number", min: 0, max: 1, help: "Refuse a crawl smaller than this share of the previous one" },
+  { section: "pipeline", key: "force", env: "FORCE", flag: "force", type: "boolean", help: "Replace the data even if the crawl shrank" },
+];
+
+function checkValue(setting, value, where) {
+  if (setting.type === "number" && !Number.isFinite(Number(value))) {
+    throw new UsageError(`${where}: expected a number, got ${JSON.stringify(value)}`);
+  }
+  const { min = -Infinity, max = Infinity } = setting;
+  if (setting.type === "number" && (Number(value) < min || Number(value) > max)) {
+    const range = max === Infinity ? `at least ${min}` : `between ${min} and ${max}`;
+    throw new UsageError(`${where}: expected a number ${range}, got ${JSON.stringify(value)}`);
+  }
+  if (setting.type === "boolean" && !/^(true|false)$/i.test(String(value))) {
+    throw new UsageError(`${where}: expected true or false, got ${JSON.stringify(value)}`);
+  }
+  return String(value);
+}
+
+/**
+ * Number setting `name` from an env-shaped object, as the scripts read it when
+ * run directly (the CLI has already rejected bad values): `fallback` when
+ * unset or not a number, clamped to the setting's min / max.
+ */
+export function envNumber(env, name, fallback) {
+  const raw = env[name];
+  const n = raw === undefined || raw === null || raw === "" ? NaN : Number(raw);
+  const { min = -Infinity, max = Infinity } = SETTINGS.find((s) => s.env === name) || {};
+  return Math.min(max, Math.max(min, Number.isFinite(n) ? n : fallback));
+}
+
+/**
+ * Read the config file. A missing default file is fine; a missing explicit
+ * one (--config) or an unknown key is a usage error.
+ */
+export async function readConfigFile(file, { explicit = false } = {}) {
+  let raw;
+  try {
+    raw = await fs.readFile(file, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT" && !explicit) return {};
+    throw new UsageError(`cannot read config file ${file}: ${err.message}`);
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (err) {
+    throw new UsageError(`config file ${file} is not valid JSON: ${err.message}`);
+  }
+
+  const sections = new Set(SETTINGS.map((s) => s.section));
+  for (const [section, values] of Object.entries(parsed ?? {})) {
+    if (!sections.has(section) || typeof values !== "object" || values === null) {
+      throw new UsageError(`config file ${file}: unknown section "${section}"`);
+    }
+    for (const key of Object.keys(values)) {
+      if (!SETTINGS.some((s) => s.section === section && s.key === key)) {
+        throw new UsageError(`config file ${file}: unknown key "${section}.${key}"`);
+      }
+    }
+  }
+  return parsed;
+}
+
+/**
+ * Merge config file, env and parsed flags into one env-shaped object.
+ */
+export function resolveEnv({ file = {}, env = process.env, flags = {} }) {
+  const out = { ...env };
+  for (const s of SETTINGS) {
+    const fromFile = file[s.section]?.[s.key];
+    const fromFlag = flags[s.flag];
+    if (fromFlag !== undefined) out[s.env] = checkValue(s, fromFlag, `--${s.flag}`);
+    else if (env[s.env] !== undefined && env[s.env] !== "") out[s.env] = checkValue(s, env[s.env], s.env);
+    else if (fromFile !== undefined && fromFile !== null) {
+      out[s.env] = checkValue(s, fromFile, `config ${s.section}.${s.key}`);
+    }
+  }
+  return out;
+}
+
+/**
+ * util.parseArgs option spec for the given settings.
+ */
+export function parseArgsOptions(settings) {
+  return Object.fromEntries(
+    settings.map((s) => [s.flag, { type: s.type === "boolean" ? "boolean" : "string" }])
+  );
+}
+
+function valueAt(obj, path) {
+  return path.split(".").reduce((o, k) => o?.[k], obj);
+}
+
+/**
+ * Help lines: --flag, env var and the built-in default from `defaults`
+ * (a config object built from an empty env). `extra` rows ([flag, text])
+ * are appended in the same columns.
+ */
+export function settingsHelp(settings, defaults, extra = []) {
+  const rows = settings.map((s) => {
+    const flag = s.type === "boolean" ? `--${s.flag}` : `--${s.flag} <${s.type === "number" ? "n" : "value"}>`;
+    const def = valueAt(defaults, s.path || s.key);
+    const shown = def === null || def === undefined || String(def) === "" ? "" : ` (default ${def})`;
+    return [flag, `${s.help}${shown}; env ${s.env}, config ${s.section}.${s.key}`];
+  });
+  rows.push(...extra);
+  const width = Math.max(...rows.map(([f]) => f.length));
+  return rows.map(([f, h]) => `  ${f.padEnd(width)}  ${h}`).join("\n");
+}
@@ -0,0 +1,102 @@
+/**
+ * Failure handling for extract.mjs.
+ *
+ * - withRetry() runs one crawl step up to `attempts` times, waiting
+ *   RETRY_DELAY, 2×, 4×, … between attempts
+ * - NavigationError means "moving to a page failed", as opposed to "there is
+ *   no such page": paginators return false at the end and throw this instead
+ * - saveSnapshot() keeps a screenshot + the HTML of the page a step failed on
+ *   in DEBUG_DIR (one pair per failed attempt)
+ * - The run summary (pages, records, failed attempts, steps that gave up) is
+ *   printed at the end of every crawl and written to DEBUG_DIR/run-summary.json
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { slugify } from "./slug.mjs";
+
+export class NavigationError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "NavigationError";
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export function backoffDelay(attempt, baseDelayMs) {
+  return baseDelayMs * 2 ** (attempt - 1);
+}
+
+/**
+ * Run `fn(attempt)` until it resolves or `attempts` tries have failed; the
+ * last error is rethrown.
+ */
+export async function withRetry(fn, { label, attempts = 3, baseDelayMs = 1000 }) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (attempt >= attempts) throw err;
+      const delay = backoffDelay(attempt, baseDelayMs);
+      const msg = err?.message || err;
+      console.warn(`[retry] ${label} failed (attempt ${attempt}/${attempts}, next in ${delay}ms): ${msg}`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Screenshot + HTML of `page` as DEBUG_DIR/<time>-<label>-<attempt>.{png,html}.
+ * Never throws: a page that cannot be captured yields nulls.
+ */
+export async function saveSnapshot(page, { dir, label, attempt }) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const base = path.join(dir, `${stamp}-${slugify(label).slice(0, 80)}-${attempt}`);
+  const out = { screenshot: null, html: null };
+  try {
+    await fs.mkdir(dir, { recursive: true });
+    await page.screenshot({ path: `${base}.png`, fullPage: true, timeout: 10000 });
+    out.screenshot = `${base}.png`;
+  } catch {}
+  try {
+    await fs.writeFile(`${base}.html`, await page.content(), "utf8");
+    out.html = `${base}.html`;
+  } catch {}
+  return out;
+}
+
+export function createRunSummary(config) {
+  return {
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    outcome: null,
+    error: null,
+    config,
+    listingPages: 0,
+    records: 0,
+    detailPages: 0,
+    failures: [], // every failed attempt: { step, attempt, error, screenshot, html }
+    gaveUp: [], // steps that failed on their last attempt: { step, error }
+  };
+}
+
+export async function writeRunSummary(summary, dir) {
+  const file = path.join(dir, "run-summary.json");
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(file, JSON.stringify(summary, null, 2), "utf8");
+  return file;
+}
+
+export function logRunSummary(summary, { limit = 20 } = {}) {
+  const { listingPages, records, detailPages, failures, gaveUp } = summary;
+  console.log(
+    `[summary] ${summary.outcome}: listingPages=${listingPages} records=${records} detailPages=${detailPages} ` +
+      `failedAttempts=${failures.length} gaveUp=${gaveUp.length}`
+  );
+  for (const f of failures.slice(0, limit)) {
+    console.log(`  ${f.step} (attempt ${f.attempt}): ${f.error}${f.screenshot ? ` -> ${f.screenshot}` : ""}`);
+  }
+  if (failures.length > limit) console.log(`  … ${failures.length - limit} more in run-summary.json`);
+  for (const g of gaveUp) console.warn(`  gave up: ${g.step}: ${g.error}`);
+}
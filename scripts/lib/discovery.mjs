@@ -0,0 +1,155 @@
+/**
+ * Discovery files for build.mjs: sitemap.xml, robots.txt and feed.atom.
+ *
+ * Optional subsystem, ON when SITE_URL is set (sitemaps and robots.txt need
+ * absolute URLs; everything else in dist/ stays relative):
+ *   SITE_URL=https://pod.example/iedereenoveral/   (where dist/ is published)
+ *   FEED_SIZE=50                                   (max entries in feed.atom)
+ *   FEED_MANIFEST=data/feed-manifest.json          (state kept between builds)
+ *
+ * "New" locations are found by comparing against the manifest written by the
+ * previous build ({ key -> firstSeen }; keys of non-default sources are
+ * "<source>:<key>", see recordKey()). The very first build only records a
+ * baseline, so the feed does not announce the whole directory as new.
+ *
+ * Crawlers only read robots.txt at the root of a host, so it is only written
+ * when SITE_URL is one (https://example.org/). Under a pod container, submit
+ * sitemap.xml to the search engines directly (or reference it from the host's
+ * own robots.txt).
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { envNumber } from "./config.mjs";
+import { recordKey } from "./profiles.mjs";
+
+const MANIFEST_VERSION = 1;
+
+export function discoveryConfig(env = process.env) {
+  const siteUrl = env.SITE_URL ? String(env.SITE_URL).replace(/\/?$/, "/") : null;
+  return {
+    siteUrl,
+    feedSize: envNumber(env, "FEED_SIZE", 50),
+    manifestPath: env.FEED_MANIFEST || "data/feed-manifest.json",
+  };
+}
+
+function xmlEscape(s) {
+  return String(s ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+}
+
+/**
+ * `rel` (relative to dist/) as an absolute URL under SITE_URL.
+ */
+export function absolute(siteUrl, rel) {
+  return new URL(rel, siteUrl).toString();
+}
+
+async function readManifest(file) {
+  try {
+    const m = JSON.parse(await fs.readFile(file, "utf8"));
+    if (m.version === MANIFEST_VERSION) return m;
+  } catch {}
+  return null;
+}
+
+/**
+ * Merge this build's locations into the feed manifest and return it.
+ * Locations stay in the manifest after they disappear (so a re-listed
+ * location is not announced twice). `dryRun` computes it without saving.
+ */
+export async function updateFeedManifest(buildings, { manifestPath, dryRun = false }, now = new Date()) {
+  const prev = await readManifest(manifestPath);
+  const seen = { ...(prev?.seen || {}) };
+  const stamp = now.toISOString();
+  let added = 0;
+
+  for (const b of buildings) {
+    const key = recordKey(b);
+    if (seen[key]) continue;
+    seen[key] = { firstSeen: stamp, baseline: !prev };
+    added++;
+  }
+
+  const manifest = { version: MANIFEST_VERSION, builtAt: stamp, seen };
+  if (!dryRun) {
+    await fs.mkdir(path.dirname(manifestPath), { recursive: true });
+    await fs.writeFile(manifestPath, JSON.stringify(manifest, null, 2), "utf8");
+  }
+  return { manifest, added, baseline: !prev };
+}
+
+export function sitemapXml(pages, { siteUrl }) {
+  const urls = pages.map((rel) => `  <url><loc>${xmlEscape(absolute(siteUrl, rel))}</loc></url>`);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.join("\n")}
+</urlset>
+`;
+}
+
+/**
+ * robots.txt pointing at the sitemap, or null when SITE_URL is not a host
+ * root (a robots.txt anywhere else is never read).
+ */
+export function robotsTxt({ siteUrl }) {
+  if (new URL(siteUrl).pathname !== "/") return null;
+  return `User-agent: *
+Disallow:
+
+Sitemap: ${absolute(siteUrl, "sitemap.xml")}
+`;
+}
+
+/**
+ * Atom feed of the most recently first-seen (non-baseline) locations.
+ * `pageFor(b)` gives the relative location page for an entry.
+ */
+export function atomFeed(buildings, manifest, { siteUrl, feedSize, title, pageFor }) {
+  const entries = buildings
+    .map((b) => ({ b, seen: manifest.seen[recordKey(b)] }))
+    .filter((x) => x.seen && !x.seen.baseline)
+    .sort((x, y) => y.seen.firstSeen.localeCompare(x.seen.firstSeen) || x.b.key.localeCompare(y.b.key))
+    .slice(0, feedSize);
+
+  // Derived from the manifest, not the clock: an unchanged input gives the same feed
+  const updated =
+    entries[0]?.seen.firstSeen ||
+    Object.values(manifest.seen)
+      .map((s) => s.firstSeen)
+      .sort()
+      .at(-1) ||
+    manifest.builtAt;
+  const feedUrl = absolute(siteUrl, "feed.atom");
+
+  const items = entries.map(({ b, seen }) => {
+    const page = absolute(siteUrl, pageFor(b));
+    const summary = [b.postalLine || b.description, b.medal ? `medal: ${b.medal}` : null].filter(Boolean).join(" · ");
+    return `  <entry>
+    <id>${xmlEscape(page)}</id>
+    <title>${xmlEscape(b.title || b.key)}</title>
+    <updated>${xmlEscape(seen.firstSeen)}</updated>
+    <published>${xmlEscape(seen.firstSeen)}</published>
+    <link rel="alternate" type="text/html" href="${xmlEscape(page)}" />
+    <link rel="related" type="text/html" href="${xmlEscape(b.url)}" />
+    ${summary ? `<summary>${xmlEscape(summary)}</summary>` : ""}
+  </entry>`;
+  });
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${xmlEscape(feedUrl)}</id>
+  <title>${xmlEscape(title)}</title>
+  <subtitle>Newly listed accessible locations</subtitle>
+  <updated>${xmlEscape(updated)}</updated>
+  <link rel="self" type="application/atom+xml" href="${xmlEscape(feedUrl)}" />
+  <link rel="alternate" type="text/html" href="${xmlEscape(absolute(siteUrl, "index.html"))}" />
+  <author><name>IedereenOveral static index</name></author>
+${items.join("\n")}
+</feed>
+`;
+}
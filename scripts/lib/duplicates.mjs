@@ -0,0 +1,279 @@
+/**
+ * Duplicate venues for build.mjs. The directory holds some venues under
+ * several keys (re-registrations, branches with near-identical names in the
+ * same postal code); extract.mjs only drops exact url repeats.
+ *
+ * Detection (findDuplicates): records with the same postal line are compared
+ * pairwise; a pair is a candidate when its score reaches DUPLICATE_THRESHOLD.
+ * The score is the similarity of the normalized titles (Dice coefficient of
+ * character bigrams), plus IMAGE_BONUS when the thumbnails are the same image:
+ * a shared image lifts a borderline title match, but never makes a pair on its
+ * own (chains reuse one stock photo). Candidates are grouped and written to
+ * DUPLICATES_REVIEW with a suggested merge (lowest id first = oldest
+ * registration) that can be copied into the merge list.
+ *
+ * The curated merge list (MERGES, default data/merges.json) decides:
+ *   {
+ *     "merges": [{ "primary": "00123", "merged": ["00456"], "note": "…" }],
+ *     "distinct": [["00001", "00002"]]
+ *   }
+ * Records are referred to by `id` ("<source>:<id>" for other sources than the
+ * default profile). applyMerges() folds every `merged` record into its
+ * primary: the primary keeps its own fields, takes over FILL_FIELDS it lacks,
+ * and lists the others in `mergedFrom`. build.mjs writes a redirect stub for
+ * each merged key. `distinct` pairs are never suggested again.
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { envNumber } from "./config.mjs";
+import { DEFAULT_PROFILE } from "./profiles.mjs";
+import { slugify } from "./slug.mjs";
+
+// Legal forms that say nothing about which venue it is
+const NOISE_WORDS = new Set(["bv", "bvba", "nv", "vzw", "cvba", "sa", "srl", "sprl", "asbl"]);
+
+// Added to the title similarity of a pair whose thumbnails are the same image
+const IMAGE_BONUS = 0.15;
+
+// Fields a primary takes over from a merged record when it has none itself
+const FILL_FIELDS = ["image", "medal", "details"];
+
+export function duplicatesConfig(env = process.env) {
+  return {
+    mergesPath: env.MERGES || "data/merges.json",
+    reviewPath: env.DUPLICATES_REVIEW || "data/duplicates.json",
+    threshold: envNumber(env, "DUPLICATE_THRESHOLD", 0.8),
+  };
+}
+
+/**
+ * How the merge list refers to a record: its id, prefixed with the source
+ * for other sources than the default profile.
+ */
+export function recordRef(b) {
+  return !b.source || b.source === DEFAULT_PROFILE ? String(b.id) : `${b.source}:${b.id}`;
+}
+
+export function normalizeTitle(title) {
+  return slugify(title)
+    .split("-")
+    .filter((w) => w && !NOISE_WORDS.has(w))
+    .join(" ");
+}
+
+function bigrams(s) {
+  const compact = s.replace(/ /g, "");
+  const out = new Map();
+  for (let i = 0; i < compact.length - 1; i++) {
+    const g = compact.slice(i, i + 2);
+    out.set(g, (out.get(g) || 0) + 1);
+  }
+  return out;
+}
+
+/**
+ * Similarity of two titles after normalizeTitle(), 0..1.
+ */
+export function titleSimilarity(a, b) {
+  const na = normalizeTitle(a);
+  const nb = normalizeTitle(b);
+  if (!na || !nb) return 0;
+  if (na === nb) return 1;
+  const ga = bigrams(na);
+  const gb = bigrams(nb);
+  let shared = 0;
+  let total = 0;
+  for (const [g, n] of ga) {
+    shared += Math.min(n, gb.get(g) || 0);
+    total += n;
+  }
+  for (const n of gb.values()) total += n;
+  return total ? (2 * shared) / total : 0;
+}
+
+// Same postal line: parsed postal code + municipality, else the raw description
+function postalKey(b) {
+  if (b.postalCode && b.municipality) return `${b.postalCode} ${slugify(b.municipality)}`;
+  return slugify(b.postalLine || b.description) || null;
+}
+
+// Same image: the url without its query (size templates such as ?tpl=big)
+function imageKey(b) {
+  return b.image ? String(b.image).split("?")[0] : null;
+}
+
+function pairKey(a, b) {
+  return [a, b].sort().join(" ");
+}
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (err) {
+    if (err?.code === "ENOENT") return null;
+    throw new Error(`Cannot read ${file}: ${err?.message || err}`);
+  }
+}
+
+/**
+ * The curated merge list at `file` ({ merges: [], distinct: [] } when there
+ * is none). Throws when it is malformed.
+ */
+export async function readMerges(file) {
+  const raw = (await readJson(file)) || {};
+  const merges = raw.merges || [];
+  const distinct = raw.distinct || [];
+  if (!Array.isArray(merges) || !Array.isArray(distinct)) {
+    throw new Error(`${file}: "merges" and "distinct" must be arrays.`);
+  }
+  const claimed = new Map();
+  for (const [i, m] of merges.entries()) {
+    if (!m?.primary || !Array.isArray(m.merged) || !m.merged.length) {
+      throw new Error(`${file}: merges[${i}] needs a "primary" and a non-empty "merged" list.`);
+    }
+    for (const ref of [m.primary, ...m.merged].map(String)) {
+      if (claimed.has(ref)) throw new Error(`${file}: ${ref} appears in merges[${claimed.get(ref)}] and merges[${i}].`);
+      claimed.set(ref, i);
+    }
+  }
+  for (const [i, d] of distinct.entries()) {
+    if (!Array.isArray(d) || d.length < 2) throw new Error(`${file}: distinct[${i}] must list at least two records.`);
+  }
+  return { merges, distinct };
+}
+
+/**
+ * Fold the merged records of `merges` into their primaries. Returns
+ * { buildings, redirects: [{ from, to }] } (`from` the merged record, `to`
+ * the surviving one). Entries whose records are not in this crawl are
+ * skipped with a warning.
+ */
+export function applyMerges(buildings, { merges }) {
+  const byRef = new Map(buildings.map((b) => [recordRef(b), b]));
+  const folded = new Map();
+  const redirects = [];
+
+  for (const m of merges) {
+    const primary = byRef.get(String(m.primary));
+    if (!primary) {
+      console.warn(`[duplicates] merge primary ${m.primary} is not in the data; entry skipped`);
+      continue;
+    }
+    const merged = [];
+    for (const ref of m.merged.map(String)) {
+      const b = byRef.get(ref);
+      if (b) merged.push(b);
+      else console.warn(`[duplicates] ${ref} (merged into ${m.primary}) is not in the data; skipped`);
+    }
+    if (!merged.length) continue;
+
+    const fill = {};
+    for (const f of FILL_FIELDS) {
+      if (primary[f] != null) continue;
+      const donor = merged.find((b) => b[f] != null);
+      if (donor) fill[f] = donor[f];
+    }
+    const mergedFrom = merged.map(({ id, key, url, title }) => ({ id, key, url, title }));
+    const survivor = { ...primary, ...fill, mergedFrom };
+    folded.set(primary, survivor);
+    for (const b of merged) {
+      folded.set(b, null);
+      redirects.push({ from: b, to: survivor });
+    }
+  }
+
+  const out = buildings.flatMap((b) => (folded.has(b) ? (folded.get(b) ? [folded.get(b)] : []) : [b]));
+  return { buildings: out, redirects };
+}
+
+/**
+ * Candidate duplicates among `buildings`: groups of records that pairwise
+ * share a postal line and have similar titles, where the same image counts
+ * towards the similarity (see the module comment). `distinct`
+ * (from the merge list) excludes pairs already judged different.
+ */
+export function findDuplicates(buildings, { threshold = 0.8, distinct = [] } = {}) {
+  const dismissed = new Set();
+  for (const refs of distinct) {
+    for (const a of refs) for (const b of refs) if (a !== b) dismissed.add(pairKey(String(a), String(b)));
+  }
+
+  const byPostal = new Map();
+  for (const b of buildings) {
+    const k = postalKey(b);
+    if (!k) continue;
+    if (!byPostal.has(k)) byPostal.set(k, []);
+    byPostal.get(k).push(b);
+  }
+
+  const pairs = [];
+  for (const items of byPostal.values()) {
+    for (let i = 0; i < items.length; i++) {
+      for (let j = i + 1; j < items.length; j++) {
+        const [a, b] = [items[i], items[j]];
+        if (dismissed.has(pairKey(recordRef(a), recordRef(b)))) continue;
+        const similarity = titleSimilarity(a.title, b.title);
+        const sameImage = imageKey(a) != null && imageKey(a) === imageKey(b);
+        const score = Math.min(1, similarity + (sameImage ? IMAGE_BONUS : 0));
+        if (score >= threshold) {
+          const round = (x) => Math.round(x * 100) / 100;
+          pairs.push({ a, b, similarity: round(similarity), sameImage, score: round(score) });
+        }
+      }
+    }
+  }
+
+  // Group pairs that share a record (a venue listed three times is one candidate)
+  const group = new Map();
+  const find = (b) => (group.get(b) === b ? b : find(group.get(b)));
+  for (const { a, b } of pairs) {
+    for (const x of [a, b]) if (!group.has(x)) group.set(x, x);
+    group.set(find(a), find(b));
+  }
+  const groups = new Map();
+  for (const p of pairs) {
+    const root = find(p.a);
+    if (!groups.has(root)) groups.set(root, { records: new Set(), pairs: [] });
+    groups.get(root).records.add(p.a).add(p.b);
+    groups.get(root).pairs.push(p);
+  }
+
+  const byId = (x, y) => String(x.id).localeCompare(String(y.id), "en", { numeric: true });
+  return [...groups.values()]
+    .map(({ records, pairs: ps }) => {
+      const list = [...records].sort(byId);
+      return {
+        records: list.map((b) => ({
+          ref: recordRef(b),
+          key: b.key,
+          title: b.title,
+          postalLine: b.postalLine || b.description || null,
+          image: b.image || null,
+          url: b.url,
+        })),
+        pairs: ps.map(({ a, b, similarity, sameImage, score }) => ({
+          refs: [recordRef(a), recordRef(b)],
+          similarity,
+          sameImage,
+          score,
+        })),
+        suggestion: { primary: recordRef(list[0]), merged: list.slice(1).map(recordRef) },
+      };
+    })
+    .sort((x, y) => x.suggestion.primary.localeCompare(y.suggestion.primary, "en", { numeric: true }));
+}
+
+/**
+ * Write the review file for curators (see the module comment).
+ */
+export async function writeDuplicateReview(file, candidates, { threshold, mergesPath }) {
+  const review = {
+    generatedAt: new Date().toISOString(),
+    threshold,
+    howTo: `Copy a "suggestion" into "merges" of ${mergesPath}, or its refs into "distinct" if they differ.`,
+    candidates,
+  };
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, JSON.stringify(review, null, 2), "utf8");
+}
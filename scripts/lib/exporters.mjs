@@ -0,0 +1,226 @@
+/**
+ * Export formats of build.mjs, chosen by name with EXPORTS=csv,sqlite,…
+ * (EXPORT_JSON=true is kept as a shorthand for "json").
+ *
+ *   json         buildings.json, buildings.jsonl (+ .jsonl.txt copy): full records
+ *   csv          buildings.csv: flat listing fields, one row per location
+ *   geocsv       locations.geo.csv: located records only, lon/lat + WKT POINT,
+ *                ready for GIS tools that turn CSV into GeoJSON
+ *   sqlite       buildings.sqlite: table `locations` (same columns as the CSV),
+ *                indexed on id and postalCode
+ *   datapackage  datapackage.json: Frictionless Data Package describing the
+ *                tabular files of this build (fields, licence, sources)
+ *
+ * Every exporter is { name, files: [{ file, mediaType, title, fields? }], render }
+ * (`fields`: column schema of tabular files, used by datapackage.json).
+ * render(buildings, ctx) returns [{ file, content }]; ctx is
+ * { sources, license, exports, crawledAt } (exports = the selected exporters;
+ * crawledAt = the latest crawl in HISTORY, or null).
+ * `content` is a string, a Buffer or an iterable of strings; the per-record
+ * files are generators, so build.mjs writes them a row at a time instead of
+ * joining one large string (the records themselves are in memory either way,
+ * and sql.js builds the sqlite file in memory).
+ * What each one does and does not contain is described for agents in llms.txt
+ * (i18n keys export.<name>).
+ */
+
+import initSqlJs from "sql.js";
+
+/**
+ * Flat columns shared by the CSV, SQLite and datapackage exporters, in their
+ * stable output order. Nested `details` never becomes a column.
+ */
+export const FIELDS = [
+  { name: "id", type: "string", description: "Location number on the source site" },
+  { name: "source", type: "string", description: "Site profile the record was crawled with" },
+  { name: "key", type: "string", description: "Path segment of the original url (<id>-<slug>)" },
+  { name: "title", type: "string", description: "Location name as listed" },
+  { name: "description", type: "string", description: "Short listing text, usually the postal line" },
+  { name: "url", type: "string", format: "uri", description: "Original location page" },
+  { name: "image", type: "string", format: "uri", description: "Listing thumbnail" },
+  { name: "medal", type: "string", description: "Accessibility medal: gold, silver or bronze" },
+  { name: "postalCode", type: "string", description: "Belgian postal code" },
+  { name: "municipality", type: "string", description: "Municipality from the postal line" },
+  { name: "province", type: "string", description: "Province (from the postal code)" },
+  { name: "region", type: "string", description: "Region (from the postal code)" },
+  { name: "lat", type: "number", description: "Approximate latitude (postal-code or province centroid)" },
+  { name: "lon", type: "number", description: "Approximate longitude (postal-code or province centroid)" },
+  { name: "precision", type: "string", description: "What lat/lon stand for: postal-code, province or region" },
+];
+
+const GEO_FIELDS = [
+  ...FIELDS.filter((f) => ["id", "source", "title", "url", "medal", "postalCode", "municipality"].includes(f.name)),
+  { name: "longitude", type: "number", description: "Approximate longitude (WGS84)" },
+  { name: "latitude", type: "number", description: "Approximate latitude (WGS84)" },
+  { name: "precision", type: "string", description: "What the point stands for: postal-code, province or region" },
+  { name: "wkt", type: "string", description: "POINT(longitude latitude)" },
+];
+
+function csvCell(v) {
+  if (v == null) return "";
+  const s = String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function* csv(fields, rows) {
+  yield fields.map((f) => csvCell(f.name)).join(",") + "\r\n";
+  for (const r of rows) yield fields.map((f) => csvCell(r[f.name])).join(",") + "\r\n";
+}
+
+// Same text as JSON.stringify(items, null, 2), one item at a time
+function* jsonArray(items) {
+  if (!items.length) {
+    yield "[]";
+    return;
+  }
+  for (const [i, item] of items.entries()) {
+    yield (i ? ",\n" : "[\n") + JSON.stringify(item, null, 2).replace(/^/gm, "  ");
+  }
+  yield "\n]";
+}
+
+function* jsonLines(items) {
+  for (const item of items) yield JSON.stringify(item) + "\n";
+}
+
+function located(buildings) {
+  return buildings.filter((b) => b.lat != null && b.lon != null);
+}
+
+async function sqlite(buildings) {
+  const SQL = await initSqlJs();
+  const db = new SQL.Database();
+  const sqlType = (f) => (f.type === "number" ? "REAL" : "TEXT");
+  const cols = FIELDS.map((f) => `"${f.name}" ${sqlType(f)}`).join(", ");
+  db.run(`CREATE TABLE locations (${cols})`);
+  db.run(`CREATE INDEX idx_locations_id ON locations ("id")`);
+  db.run(`CREATE INDEX idx_locations_postalCode ON locations ("postalCode")`);
+
+  const insert = db.prepare(`INSERT INTO locations VALUES (${FIELDS.map(() => "?").join(", ")})`);
+  db.run("BEGIN");
+  for (const b of buildings) insert.run(FIELDS.map((f) => b[f.name] ?? null));
+  db.run("COMMIT");
+  insert.free();
+
+  const bytes = Buffer.from(db.export());
+  db.close();
+  return bytes;
+}
+
+function tableSchema(fields) {
+  return { fields: fields.map(({ name, type, format, description }) => ({ name, type, format, description })) };
+}
+
+// Frictionless resource for one published file; tabular files carry their schema
+function resource({ file, mediaType, fields = null }) {
+  const format = file.split(".").pop();
+  return {
+    name: file.replace(/[^a-z0-9]+/gi, "-").toLowerCase(),
+    path: file,
+    format,
+    mediatype: mediaType,
+    ...(format === "tsv" ? { dialect: { delimiter: "\t" } } : {}),
+    ...(fields ? { encoding: "utf-8", schema: tableSchema(fields) } : {}),
+  };
+}
+
+function dataPackage(buildings, { sources, license, exports, crawledAt }) {
+  // locations.tsv and locations.geojson are part of every build
+  const resources = [
+    resource({
+      file: "locations.tsv",
+      mediaType: "text/tab-separated-values",
+      fields: FIELDS.filter((f) => ["title", "url", "medal"].includes(f.name)),
+    }),
+    resource({ file: "locations.geojson", mediaType: "application/geo+json" }),
+    ...exports.filter((e) => e.name !== "datapackage").flatMap((e) => e.files.map(resource)),
+  ];
+
+  return {
+    name: "iedereenoveral-static-index",
+    title: "IedereenOveral — Static index",
+    description: `Listing records of accessible locations (${buildings.length}), crawled from ${sources
+      .map((s) => s.label)
+      .join(", ")}. Coordinates are approximate.`,
+    ...(crawledAt ? { created: crawledAt } : {}),
+    licenses: [
+      license
+        ? { name: license, path: `https://spdx.org/licenses/${license}.html`, title: license }
+        : { title: "Terms of the source site(s)", path: sources[0]?.homepage },
+    ],
+    sources: sources.map((s) => ({ title: s.label, path: s.homepage })),
+    resources,
+  };
+}
+
+export const EXPORTERS = {
+  json: {
+    files: [
+      { file: "buildings.json", mediaType: "application/json", title: "Full listing records (JSON)" },
+      { file: "buildings.jsonl", mediaType: "application/jsonl", title: "Full listing records (JSON Lines)" },
+    ],
+    render: (buildings) => [
+      { file: "buildings.json", content: jsonArray(buildings) },
+      { file: "buildings.jsonl", content: jsonLines(buildings) },
+      { file: "buildings.jsonl.txt", content: jsonLines(buildings) },
+    ],
+  },
+  csv: {
+    files: [{ file: "buildings.csv", mediaType: "text/csv", title: "Listing records (CSV)", fields: FIELDS }],
+    render: (buildings) => [{ file: "buildings.csv", content: csv(FIELDS, buildings) }],
+  },
+  geocsv: {
+    files: [
+      {
+        file: "locations.geo.csv",
+        mediaType: "text/csv",
+        title: "Approximate positions (CSV with WKT)",
+        fields: GEO_FIELDS,
+      },
+    ],
+    render(buildings) {
+      const rows = located(buildings).map((b) => ({
+        ...b,
+        longitude: b.lon,
+        latitude: b.lat,
+        wkt: `POINT(${b.lon} ${b.lat})`,
+      }));
+      return [{ file: "locations.geo.csv", content: csv(GEO_FIELDS, rows) }];
+    },
+  },
+  sqlite: {
+    files: [{ file: "buildings.sqlite", mediaType: "application/vnd.sqlite3", title: "Listing records (SQLite)" }],
+    render: async (buildings) => [{ file: "buildings.sqlite", content: await sqlite(buildings) }],
+  },
+  datapackage: {
+    files: [{ file: "datapackage.json", mediaType: "application/json", title: "Frictionless Data Package" }],
+    render: (buildings, ctx) => [
+      { file: "datapackage.json", content: JSON.stringify(dataPackage(buildings, ctx), null, 2) },
+    ],
+  },
+};
+
+for (const [name, exporter] of Object.entries(EXPORTERS)) exporter.name = name;
+
+/**
+ * Export names from EXPORTS (comma-separated), plus "json" for EXPORT_JSON=true.
+ */
+export function exportNames(env = process.env) {
+  const names = String(env.EXPORTS || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+  if (String(env.EXPORT_JSON || "false").toLowerCase() === "true") names.unshift("json");
+  return [...new Set(names)];
+}
+
+/**
+ * The exporters for `names`, in registry order. Throws on unknown names.
+ */
+export function exportersFor(names) {
+  const unknown = names.filter((n) => !EXPORTERS[n]);
+  if (unknown.length) {
+    throw new Error(`Unknown export format(s) ${unknown.join(", ")} (known: ${Object.keys(EXPORTERS).join(", ")}).`);
+  }
+  return Object.values(EXPORTERS).filter((e) => names.includes(e.name));
+}
@@ -0,0 +1,121 @@
+/**
+ * Offline geocoding + map output, shared by extract.mjs and build.mjs.
+ *
+ * No live geocoder: coordinates come from the bundled postal-code centroid
+ * table (data/postal-centroids.json). Every record gets
+ *   lat, lon    approximate WGS84 position (or null)
+ *   precision   "postal-code" | "province" | "region" | null
+ * so consumers know a point is the centre of an area, never a street address.
+ */
+
+import fs from "node:fs/promises";
+
+export const CENTROIDS_URL = new URL("../../data/postal-centroids.json", import.meta.url);
+
+export async function loadCentroids(file = CENTROIDS_URL) {
+  return JSON.parse(await fs.readFile(file, "utf8"));
+}
+
+const round = (n) => Math.round(n * 1e5) / 1e5;
+
+/**
+ * Geocode one record that already carries parsed address fields.
+ */
+export function geocode(b, table) {
+  const pc = b.postalCode ? table.postalCodes?.[b.postalCode] : null;
+  if (pc) return { lat: round(pc[0]), lon: round(pc[1]), precision: "postal-code" };
+
+  const prov = b.province ? table.provinces?.[b.province] : null;
+  if (prov) return { lat: round(prov[0]), lon: round(prov[1]), precision: "province" };
+
+  const reg = b.region ? table.regions?.[b.region] : null;
+  if (reg) return { lat: round(reg[0]), lon: round(reg[1]), precision: "region" };
+
+  return { lat: null, lon: null, precision: null };
+}
+
+/**
+ * GeoJSON FeatureCollection (RFC 7946). Records without coordinates keep a
+ * null geometry so the file still lists every location.
+ */
+export function toGeoJson(buildings, { pageFor }) {
+  return {
+    type: "FeatureCollection",
+    features: buildings.map((b) => ({
+      type: "Feature",
+      id: b.id || b.key,
+      geometry: b.lat != null && b.lon != null ? { type: "Point", coordinates: [b.lon, b.lat] } : null,
+      properties: {
+        key: b.key,
+        source: b.source ?? null,
+        title: b.title || b.key,
+        url: b.url,
+        page: pageFor(b),
+        postalCode: b.postalCode ?? null,
+        municipality: b.municipality ?? null,
+        province: b.province ?? null,
+        region: b.region ?? null,
+        medal: b.medal ?? null,
+        precision: b.precision ?? null,
+      },
+    })),
+  };
+}
+
+/**
+ * -------- Static SVG map of Belgium --------
+ *
+ * Simplified national border (lon, lat), clockwise from De Panne. Good enough
+ * to place municipality markers; not for measuring anything.
+ */
+const BELGIUM_OUTLINE = [
+  [2.54, 51.09], [2.75, 51.17], [3.0, 51.25], [3.2, 51.33], [3.37, 51.37], [3.54, 51.29],
+  [3.89, 51.21], [4.22, 51.37], [4.38, 51.36], [4.55, 51.48], [4.77, 51.5], [4.85, 51.42],
+  [5.05, 51.47], [5.24, 51.26], [5.5, 51.3], [5.84, 51.16], [5.75, 50.97], [5.65, 50.82],
+  [5.69, 50.76], [6.02, 50.75], [6.27, 50.63], [6.16, 50.53], [6.4, 50.33], [6.13, 50.13],
+  [5.97, 49.98], [5.82, 49.55], [5.47, 49.5], [5.3, 49.65], [4.85, 49.8], [4.88, 50.15],
+  [4.7, 50.1], [4.43, 49.95], [4.15, 49.98], [4.2, 50.27], [3.7, 50.3], [3.28, 50.53],
+  [3.05, 50.78], [2.85, 50.72], [2.6, 50.85],
+];
+
+const BOUNDS = { west: 2.45, east: 6.5, south: 49.45, north: 51.55 };
+const LAT_SCALE = 1 / Math.cos((50.5 * Math.PI) / 180);
+
+function projector(width) {
+  const k = width / (BOUNDS.east - BOUNDS.west);
+  const height = Math.round((BOUNDS.north - BOUNDS.south) * LAT_SCALE * k);
+  const project = (lon, lat) => [
+    Math.round((lon - BOUNDS.west) * k * 10) / 10,
+    Math.round((BOUNDS.north - lat) * LAT_SCALE * k * 10) / 10,
+  ];
+  return { height, project };
+}
+
+/**
+ * Pre-rendered SVG, one linked marker per municipality.
+ *
+ * `markers`: [{ lat, lon, label, href, count }]; marker size grows with count.
+ * `escape` is the caller's HTML/XML escaper.
+ */
+export function belgiumMapSvg(markers, { width = 900, title, escape }) {
+  const { height, project } = projector(width);
+  const outline = BELGIUM_OUTLINE.map(([lon, lat]) => project(lon, lat).join(",")).join(" ");
+
+  const dots = [...markers]
+    .sort((a, b) => b.count - a.count)
+    .map((m) => {
+      const [x, y] = project(m.lon, m.lat);
+      const r = Math.round((4 + Math.sqrt(m.count) * 2.5) * 10) / 10;
+      const label = `${m.label} (${m.count})`;
+      return `<a href="${escape(m.href)}" aria-label="${escape(label)}">
+      <circle class="map__marker" cx="${x}" cy="${y}" r="${r}"><title>${escape(label)}</title></circle>
+    </a>`;
+    });
+
+  const viewBox = `0 0 ${width} ${height}`;
+  return `<svg class="map" xmlns="http://www.w3.org/2000/svg" viewBox="${viewBox}" role="img" aria-labelledby="map-title">
+    <title id="map-title">${escape(title)}</title>
+    <polygon class="map__land" points="${outline}" />
+    ${dots.join("\n    ")}
+  </svg>`;
+}
@@ -0,0 +1,111 @@
+/**
+ * Location history across crawls: extract.mjs merges every finished crawl into
+ * HISTORY (default data/history.json), build.mjs renders it as changes.html.
+ *
+ * Per location (keyed like recordKey(): "<key>", or "<source>:<key>" for
+ * other sources):
+ * - firstSeen / lastSeen: the first and the latest crawl that listed it
+ * - values: the tracked fields as last seen (TRACKED_FIELDS)
+ * - changes: [{ at, field, from, to }], one per changed tracked field
+ * - removedAt: set when a complete crawl of its source no longer lists it (a
+ *   tombstone: the entry stays, with its last values); cleared when it comes back
+ *
+ * Per crawl: { at, sources, records, partial, baseline, added, changed,
+ * removed, restored } (the last four are lists of location keys). The first
+ * crawl is only a baseline and announces nothing. A partial crawl (cut short
+ * by MAX_LOCATIONS / MAX_LISTING_PAGES) never removes the locations it did not
+ * reach.
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { DEFAULT_PROFILE, recordKey } from "./profiles.mjs";
+
+const HISTORY_VERSION = 1;
+
+// Fields whose changes are recorded (derived fields such as province or lat/lon follow these)
+export const TRACKED_FIELDS = ["title", "description", "image", "medal", "url"];
+
+/**
+ * The history store, or null when there is none yet (or it has another version).
+ */
+export async function readHistory(file) {
+  try {
+    const h = JSON.parse(await fs.readFile(file, "utf8"));
+    if (h.version === HISTORY_VERSION) return h;
+  } catch {}
+  return null;
+}
+
+function trackedValues(b) {
+  return Object.fromEntries(TRACKED_FIELDS.map((f) => [f, b[f] ?? null]));
+}
+
+/**
+ * Merge the records of one crawl into `history` (null = start a new store).
+ * Returns { history, crawl } without touching the input.
+ */
+export function mergeCrawl(history, records, { at, partial = false }) {
+  const locations = structuredClone(history?.locations || {});
+  // Records without a source are the default profile's (older data files)
+  const sourceOf = (b) => b.source || DEFAULT_PROFILE;
+  const sources = [...new Set(records.map(sourceOf))].sort();
+  const crawl = {
+    at,
+    sources,
+    records: records.length,
+    partial,
+    baseline: !history,
+    added: [],
+    changed: [],
+    removed: [],
+    restored: [],
+  };
+
+  const listed = new Set();
+  for (const b of records) {
+    const key = recordKey(b);
+    const values = trackedValues(b);
+    listed.add(key);
+
+    const loc = locations[key];
+    if (!loc) {
+      locations[key] = { source: sourceOf(b), firstSeen: at, lastSeen: at, removedAt: null, values, changes: [] };
+      crawl.added.push(key);
+      continue;
+    }
+
+    if (loc.removedAt) crawl.restored.push(key);
+    const changes = TRACKED_FIELDS.filter((f) => loc.values[f] !== values[f]).map((field) => ({
+      at,
+      field,
+      from: loc.values[field],
+      to: values[field],
+    }));
+    if (changes.length) crawl.changed.push(key);
+    Object.assign(loc, { lastSeen: at, removedAt: null, values, changes: [...loc.changes, ...changes] });
+  }
+
+  if (!partial) {
+    for (const [key, loc] of Object.entries(locations)) {
+      if (listed.has(key) || loc.removedAt || !sources.includes(loc.source)) continue;
+      loc.removedAt = at;
+      crawl.removed.push(key);
+    }
+  }
+
+  const out = { version: HISTORY_VERSION, crawls: [...(history?.crawls || []), crawl], locations };
+  return { history: out, crawl };
+}
+
+/**
+ * Merge a crawl into the store at `historyPath` and save it (unless `dryRun`).
+ */
+export async function updateHistory(records, { historyPath, partial = false, dryRun = false }, now = new Date()) {
+  const { history, crawl } = mergeCrawl(await readHistory(historyPath), records, { at: now.toISOString(), partial });
+  if (!dryRun) {
+    await fs.mkdir(path.dirname(historyPath), { recursive: true });
+    await fs.writeFile(historyPath, JSON.stringify(history, null, 2), "utf8");
+  }
+  return { history, crawl };
+}
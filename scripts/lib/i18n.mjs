@@ -0,0 +1,662 @@
+/**
+ * Translation catalogue for the static site (nl / fr / en).
+ *
+ * - Messages are strings with {placeholders}, or functions of the same vars
+ *   when the wording depends on a number (plurals).
+ * - Missing keys fall back to English, then to the key itself.
+ * - Only UI text is translated: location names, addresses and measurements
+ *   stay exactly as extracted. Province/region labels are ours (derived from
+ *   the postal code), so they are translated too.
+ */
+
+export const LANGUAGES = [
+  { code: "nl", name: "Nederlands" },
+  { code: "fr", name: "Français" },
+  { code: "en", name: "English" },
+];
+
+export const DEFAULT_LANG = "nl";
+
+const PLACE_NAMES = {
+  "Antwerpen": { fr: "Anvers", en: "Antwerp" },
+  "Limburg": { fr: "Limbourg", en: "Limburg" },
+  "Oost-Vlaanderen": { fr: "Flandre-Orientale", en: "East Flanders" },
+  "West-Vlaanderen": { fr: "Flandre-Occidentale", en: "West Flanders" },
+  "Vlaams-Brabant": { fr: "Brabant flamand", en: "Flemish Brabant" },
+  "Waals-Brabant": { fr: "Brabant wallon", en: "Walloon Brabant" },
+  "Henegouwen": { fr: "Hainaut", en: "Hainaut" },
+  "Luik": { fr: "Liège", en: "Liège" },
+  "Namen": { fr: "Namur", en: "Namur" },
+  "Luxemburg": { fr: "Luxembourg", en: "Luxembourg" },
+  "Brussels Hoofdstedelijk Gewest": { fr: "Région de Bruxelles-Capitale", en: "Brussels-Capital Region" },
+  "Vlaanderen": { fr: "Flandre", en: "Flanders" },
+  "Wallonië": { fr: "Wallonie", en: "Wallonia" },
+};
+
+const MESSAGES = {
+  en: {
+    "site.title": "IedereenOveral — Static index",
+    "site.sub": "JS-free index with persistent links to the original pages.",
+    "site.description": "JS-free index of accessible locations listed on {sources}.",
+    "nav.language": "Language",
+    "head.llms": "LLM instructions",
+    "head.dataset": "DCAT dataset description",
+    "head.feed": "Newly listed locations",
+    "footer.agentGuide": "Agent guide",
+    "footer.quickMap": "Quick map",
+    "footer.linkedData": "Linked Data",
+    "footer.source": "Source of truth",
+    "pager.label": "Pagination",
+    "pager.prev": "← Previous",
+    "pager.next": "Next →",
+    "pager.page": "Page {page} / {count}",
+    "page.title": "{title} — page {page}",
+    "medal.gold": "Gold medal",
+    "medal.silver": "Silver medal",
+    "medal.bronze": "Bronze medal",
+    "common.locations": "Locations",
+    "common.map": "map",
+    "common.dataQuality": "Data quality",
+    "index.intro": "Total: {total}. Clicking a card opens its location page, which links to the original persistent URL.",
+    "index.browse": "Browse by place",
+    "index.exportsEnabled": "(exports enabled)",
+    "order.label": "Order",
+    "order.id": "by number",
+    "order.az": "A–Z",
+    "order.municipality": "by municipality",
+    "order.recent": "recently added",
+    "order.azIntro": "All {total} locations by name; accents and a leading ’t or ’s are ignored.",
+    "order.municipalityIntro": "All {total} locations by municipality, then by name.",
+    "order.recentIntro": "All {total} locations, most recently added (highest number) first.",
+    "az.label": "Jump to letter",
+    "place.count": ({ count, name }) => (count === 1 ? `1 location in ${name}.` : `${count} locations in ${name}.`),
+    "place.back": "Back to {link}.",
+    "place.allPlaces": "all places",
+    "places.title": "Locations by place",
+    "places.intro": "Browse by province and municipality (from the postal line). Full list: {link}.",
+    "places.index": "index",
+    "places.unplaced": ({ count }) =>
+      count === 1
+        ? "1 location has no parseable postal line and only appears in the full list."
+        : `${count} locations have no parseable postal line and only appear in the full list.`,
+    "map.title": "Locations on a map",
+    "map.intro": "One marker per municipality (postal-code centre, not the exact address); select one to see its locations.",
+    "map.alsoAs": "Also available as",
+    "map.textList": "Text list",
+    "map.svgTitle": "Locations per municipality in Belgium",
+    "loc.breadcrumb": "Breadcrumb",
+    "loc.navLabel": "Locations in {name}",
+    "loc.viewOriginal": "View on {site} →",
+    "loc.source": "Source",
+    "loc.medal": "Medal",
+    "loc.postalLine": "Postal line",
+    "loc.municipality": "Municipality",
+    "loc.postalCode": "Postal code",
+    "loc.province": "Province",
+    "loc.region": "Region",
+    "loc.id": "ID",
+    "loc.key": "Key",
+    "loc.original": "Original page",
+    "link.outdated": "Link may be outdated",
+    "link.dead": "the original page was not found",
+    "link.redirected": "the original page has moved",
+    "loc.mergedFrom": "Also listed as",
+    "redirect.title": "Moved",
+    "redirect.moved": "This listing was merged into {title}.",
+    "search.label": "Search",
+    "search.placeholder": "Name, municipality or postal code",
+    "search.button": "Search",
+    "search.title": "Search",
+    "search.intro": "Type a name, municipality or postal code in the box above. Without JavaScript, use the result pages below (by the first two letters of a word in the name) or find a municipality on {link}.",
+    "search.prefixes": "Names by first letters",
+    "search.prefixHeading": "Names with a word starting with “{prefix}”",
+    "search.count": "Locations found: {count}.",
+    "search.none": "No locations found.",
+    "loc.linkedData": "Linked Data",
+    "loc.contact": "Contact",
+    "loc.address": "Address",
+    "loc.phone": "Phone",
+    "loc.email": "Email",
+    "loc.website": "Website",
+    "loc.openingHours": "Opening hours",
+    "loc.accessibility": "Accessibility",
+    "loc.detailsFetched": "Details read from the original page on {date}.",
+    "quality.title": "Data quality",
+    "quality.summary": "{records} records · {errors} error(s) · {warnings} warning(s).",
+    "quality.machine": "Machine-readable",
+    "quality.errors": "Errors",
+    "quality.warnings": "Warnings",
+    "quality.none": "No issues found.",
+    "quality.code.schema": "Schema violation",
+    "quality.code.not-an-array": "Not an array",
+    "quality.code.duplicate-id": "Duplicate id",
+    "quality.code.duplicate-url": "Duplicate url",
+    "quality.code.id-mismatch": "id does not match key",
+    "quality.code.title-fallback": "Title fell back to slug/key",
+    "quality.code.missing-image": "Missing thumbnail",
+    "quality.code.postal-line": "Unparseable postal line",
+    "quality.code.long-title": "Suspiciously long title",
+    "quality.code.unknown-source": "Unknown source",
+    "changes.title": "Changes",
+    "changes.intro": "What each crawl added, changed (name, description, thumbnail, medal, url) or removed.",
+    "changes.none": "No crawl history yet.",
+    "changes.crawl": "{records} locations listed ({sources}).",
+    "changes.baseline": "First recorded crawl: the starting point for later changes.",
+    "changes.partial": "Partial crawl: locations it did not reach were not marked as removed.",
+    "changes.added": "New",
+    "changes.changed": "Changed",
+    "changes.removed": "Removed",
+    "changes.restored": "Back again",
+    "changes.lastSeen": "last seen {date}",
+    "day.maandag": "Monday",
+    "day.dinsdag": "Tuesday",
+    "day.woensdag": "Wednesday",
+    "day.donderdag": "Thursday",
+    "day.vrijdag": "Friday",
+    "day.zaterdag": "Saturday",
+    "day.zondag": "Sunday",
+    "chooser.title": "Choose a language",
+    "llms.languages": "Languages",
+    "llms.exports": "Exports",
+    "export.json": "every record as extracted, with nested details when the crawl read them. Largest files.",
+    "export.csv": "one row per location, flat listing fields only (no nested details).",
+    "export.geocsv": "located records only: longitude/latitude + WKT POINT, approximate (never an address).",
+    "export.sqlite": "table `locations`, same columns as the CSV, indexed on id and postalCode.",
+    "export.datapackage": "Frictionless Data Package: fields, licence and sources of the tabular files; no records.",
+  },
+
+  nl: {
+    "site.title": "IedereenOveral — Statische index",
+    "site.sub": "JS-vrije index met blijvende links naar de originele pagina's.",
+    "site.description": "JS-vrije index van toegankelijke locaties op {sources}.",
+    "nav.language": "Taal",
+    "head.llms": "Instructies voor LLM's",
+    "head.dataset": "DCAT-beschrijving van de dataset",
+    "head.feed": "Nieuw toegevoegde locaties",
+    "footer.agentGuide": "Gids voor agents",
+    "footer.quickMap": "Snel overzicht",
+    "footer.linkedData": "Linked Data",
+    "footer.source": "Bron",
+    "pager.label": "Paginering",
+    "pager.prev": "← Vorige",
+    "pager.next": "Volgende →",
+    "pager.page": "Pagina {page} / {count}",
+    "page.title": "{title} — pagina {page}",
+    "medal.gold": "Gouden medaille",
+    "medal.silver": "Zilveren medaille",
+    "medal.bronze": "Bronzen medaille",
+    "common.locations": "Locaties",
+    "common.map": "kaart",
+    "common.dataQuality": "Datakwaliteit",
+    "index.intro": "Totaal: {total}. Een kaart opent de locatiepagina, die naar de originele blijvende URL linkt.",
+    "index.browse": "Bladeren per plaats",
+    "index.exportsEnabled": "(exports ingeschakeld)",
+    "order.label": "Volgorde",
+    "order.id": "op nummer",
+    "order.az": "A–Z",
+    "order.municipality": "per gemeente",
+    "order.recent": "recent toegevoegd",
+    "order.azIntro": "Alle {total} locaties op naam; accenten en een ’t of ’s vooraan tellen niet mee.",
+    "order.municipalityIntro": "Alle {total} locaties per gemeente, dan op naam.",
+    "order.recentIntro": "Alle {total} locaties, de laatst toegevoegde (hoogste nummer) eerst.",
+    "az.label": "Ga naar letter",
+    "place.count": ({ count, name }) => (count === 1 ? `1 locatie in ${name}.` : `${count} locaties in ${name}.`),
+    "place.back": "Terug naar {link}.",
+    "place.allPlaces": "alle plaatsen",
+    "places.title": "Locaties per plaats",
+    "places.intro": "Bladeren per provincie en gemeente (volgens de postregel). Volledige lijst: {link}.",
+    "places.index": "index",
+    "places.unplaced": ({ count }) =>
+      count === 1
+        ? "1 locatie heeft geen leesbare postregel en staat alleen in de volledige lijst."
+        : `${count} locaties hebben geen leesbare postregel en staan alleen in de volledige lijst.`,
+    "map.title": "Locaties op de kaart",
+    "map.intro": "Eén markering per gemeente (midden van de postcode, niet het exacte adres); kies er een voor de locaties.",
+    "map.alsoAs": "Ook beschikbaar als",
+    "map.textList": "Tekstlijst",
+    "map.svgTitle": "Locaties per gemeente in België",
+    "loc.breadcrumb": "Kruimelpad",
+    "loc.navLabel": "Locaties in {name}",
+    "loc.viewOriginal": "Bekijk op {site} →",
+    "loc.source": "Bron",
+    "loc.medal": "Medaille",
+    "loc.postalLine": "Postregel",
+    "loc.municipality": "Gemeente",
+    "loc.postalCode": "Postcode",
+    "loc.province": "Provincie",
+    "loc.region": "Gewest",
+    "loc.id": "ID",
+    "loc.key": "Sleutel",
+    "loc.original": "Originele pagina",
+    "link.outdated": "Link is mogelijk verouderd",
+    "link.dead": "de originele pagina werd niet gevonden",
+    "link.redirected": "de originele pagina is verhuisd",
+    "loc.mergedFrom": "Ook vermeld als",
+    "redirect.title": "Verplaatst",
+    "redirect.moved": "Deze vermelding is samengevoegd met {title}.",
+    "search.label": "Zoeken",
+    "search.placeholder": "Naam, gemeente of postcode",
+    "search.button": "Zoeken",
+    "search.title": "Zoeken",
+    "search.intro": "Typ een naam, gemeente of postcode in het vak hierboven. Zonder JavaScript gebruik je de resultaatpagina's hieronder (per eerste twee letters van een woord in de naam) of zoek je een gemeente op {link}.",
+    "search.prefixes": "Namen per beginletters",
+    "search.prefixHeading": "Namen met een woord dat begint met “{prefix}”",
+    "search.count": "Gevonden locaties: {count}.",
+    "search.none": "Geen locaties gevonden.",
+    "loc.linkedData": "Linked Data",
+    "loc.contact": "Contact",
+    "loc.address": "Adres",
+    "loc.phone": "Telefoon",
+    "loc.email": "E-mail",
+    "loc.website": "Website",
+    "loc.openingHours": "Openingsuren",
+    "loc.accessibility": "Toegankelijkheid",
+    "loc.detailsFetched": "Details gelezen van de originele pagina op {date}.",
+    "quality.title": "Datakwaliteit",
+    "quality.summary": "{records} records · {errors} fout(en) · {warnings} waarschuwing(en).",
+    "quality.machine": "Machineleesbaar",
+    "quality.errors": "Fouten",
+    "quality.warnings": "Waarschuwingen",
+    "quality.none": "Geen problemen gevonden.",
+    "quality.code.schema": "Schemafout",
+    "quality.code.not-an-array": "Geen lijst",
+    "quality.code.duplicate-id": "Dubbele id",
+    "quality.code.duplicate-url": "Dubbele url",
+    "quality.code.id-mismatch": "id komt niet overeen met sleutel",
+    "quality.code.title-fallback": "Titel is de slug/sleutel",
+    "quality.code.missing-image": "Geen miniatuur",
+    "quality.code.postal-line": "Onleesbare postregel",
+    "quality.code.long-title": "Verdacht lange titel",
+    "quality.code.unknown-source": "Onbekende bron",
+    "changes.title": "Wijzigingen",
+    "changes.intro": "Wat elke crawl toevoegde, wijzigde (naam, beschrijving, miniatuur, medaille, url) of verwijderde.",
+    "changes.none": "Nog geen crawlgeschiedenis.",
+    "changes.crawl": "{records} locaties in de lijst ({sources}).",
+    "changes.baseline": "Eerste geregistreerde crawl: het vertrekpunt voor latere wijzigingen.",
+    "changes.partial": "Onvolledige crawl: locaties die niet bereikt werden, zijn niet als verwijderd gemarkeerd.",
+    "changes.added": "Nieuw",
+    "changes.changed": "Gewijzigd",
+    "changes.removed": "Verwijderd",
+    "changes.restored": "Opnieuw opgenomen",
+    "changes.lastSeen": "laatst gezien op {date}",
+    "day.maandag": "maandag",
+    "day.dinsdag": "dinsdag",
+    "day.woensdag": "woensdag",
+    "day.donderdag": "donderdag",
+    "day.vrijdag": "vrijdag",
+    "day.zaterdag": "zaterdag",
+    "day.zondag": "zondag",
+    "chooser.title": "Kies een taal",
+    "llms.languages": "Talen",
+    "llms.exports": "Exports",
+    "export.json": "elk record zoals geëxtraheerd, met geneste details als de crawl ze las. Grootste bestanden.",
+    "export.csv": "één rij per locatie, alleen de platte lijstvelden (geen geneste details).",
+    "export.geocsv": "alleen records met positie: longitude/latitude + WKT POINT, benaderd (nooit een adres).",
+    "export.sqlite": "tabel `locations`, zelfde kolommen als de CSV, geïndexeerd op id en postalCode.",
+    "export.datapackage": "Frictionless Data Package: velden, licentie en bronnen van de tabelbestanden; geen records.",
+  },
+
+  fr: {
+    "site.title": "IedereenOveral — Index statique",
+    "site.sub": "Index sans JavaScript avec des liens permanents vers les pages d'origine.",
+    "site.description": "Index sans JavaScript des lieux accessibles répertoriés sur {sources}.",
+    "nav.language": "Langue",
+    "head.llms": "Instructions pour LLM",
+    "head.dataset": "Description DCAT du jeu de données",
+    "head.feed": "Lieux récemment ajoutés",
+    "footer.agentGuide": "Guide pour agents",
+    "footer.quickMap": "Aperçu rapide",
+    "footer.linkedData": "Linked Data",
+    "footer.source": "Source",
+    "pager.label": "Pagination",
+    "pager.prev": "← Précédent",
+    "pager.next": "Suivant →",
+    "pager.page": "Page {page} / {count}",
+    "page.title": "{title} — page {page}",
+    "medal.gold": "Médaille d'or",
+    "medal.silver": "Médaille d'argent",
+    "medal.bronze": "Médaille de bronze",
+    "common.locations": "Lieux",
+    "common.map": "carte",
+    "common.dataQuality": "Qualité des données",
+    "index.intro": "Total : {total}. Une fiche ouvre la page du lieu, qui renvoie vers l'URL permanente d'origine.",
+    "index.browse": "Parcourir par localité",
+    "index.exportsEnabled": "(exports activés)",
+    "order.label": "Ordre",
+    "order.id": "par numéro",
+    "order.az": "A–Z",
+    "order.municipality": "par commune",
+    "order.recent": "ajoutés récemment",
+    "order.azIntro": "Les {total} lieux par nom ; les accents et un ’t ou ’s initial sont ignorés.",
+    "order.municipalityIntro": "Les {total} lieux par commune, puis par nom.",
+    "order.recentIntro": "Les {total} lieux, les plus récemment ajoutés (numéro le plus élevé) d’abord.",
+    "az.label": "Aller à la lettre",
+    "place.count": ({ count, name }) => (count === 1 ? `1 lieu — ${name}.` : `${count} lieux — ${name}.`),
+    "place.back": "Retour à {link}.",
+    "place.allPlaces": "toutes les localités",
+    "places.title": "Lieux par localité",
+    "places.intro": "Parcourir par province et commune (selon la ligne postale). Liste complète : {link}.",
+    "places.index": "index",
+    "places.unplaced": ({ count }) =>
+      count === 1
+        ? "1 lieu n'a pas de ligne postale lisible et n'apparaît que dans la liste complète."
+        : `${count} lieux n'ont pas de ligne postale lisible et n'apparaissent que dans la liste complète.`,
+    "map.title": "Lieux sur la carte",
+    "map.intro": "Un repère par commune (centre du code postal, pas l'adresse exacte) ; choisissez-en un pour voir ses lieux.",
+    "map.alsoAs": "Aussi disponible en",
+    "map.textList": "Liste texte",
+    "map.svgTitle": "Lieux par commune en Belgique",
+    "loc.breadcrumb": "Fil d'Ariane",
+    "loc.navLabel": "Lieux — {name}",
+    "loc.viewOriginal": "Voir sur {site} →",
+    "loc.source": "Source",
+    "loc.medal": "Médaille",
+    "loc.postalLine": "Ligne postale",
+    "loc.municipality": "Commune",
+    "loc.postalCode": "Code postal",
+    "loc.province": "Province",
+    "loc.region": "Région",
+    "loc.id": "ID",
+    "loc.key": "Clé",
+    "loc.original": "Page d'origine",
+    "link.outdated": "Lien peut-être obsolète",
+    "link.dead": "la page d'origine est introuvable",
+    "link.redirected": "la page d'origine a été déplacée",
+    "loc.mergedFrom": "Aussi répertorié comme",
+    "redirect.title": "Déplacé",
+    "redirect.moved": "Cette fiche a été fusionnée avec {title}.",
+    "search.label": "Rechercher",
+    "search.placeholder": "Nom, commune ou code postal",
+    "search.button": "Rechercher",
+    "search.title": "Recherche",
+    "search.intro": "Saisissez un nom, une commune ou un code postal dans le champ ci-dessus. Sans JavaScript, utilisez les pages de résultats ci-dessous (par les deux premières lettres d'un mot du nom) ou trouvez une commune sur {link}.",
+    "search.prefixes": "Noms par premières lettres",
+    "search.prefixHeading": "Noms avec un mot commençant par « {prefix} »",
+    "search.count": "Lieux trouvés : {count}.",
+    "search.none": "Aucun lieu trouvé.",
+    "loc.linkedData": "Linked Data",
+    "loc.contact": "Contact",
+    "loc.address": "Adresse",
+    "loc.phone": "Téléphone",
+    "loc.email": "E-mail",
+    "loc.website": "Site web",
+    "loc.openingHours": "Heures d'ouverture",
+    "loc.accessibility": "Accessibilité",
+    "loc.detailsFetched": "Détails lus sur la page d'origine le {date}.",
+    "quality.title": "Qualité des données",
+    "quality.summary": "{records} enregistrements · {errors} erreur(s) · {warnings} avertissement(s).",
+    "quality.machine": "Lisible par machine",
+    "quality.errors": "Erreurs",
+    "quality.warnings": "Avertissements",
+    "quality.none": "Aucun problème trouvé.",
+    "quality.code.schema": "Non conforme au schéma",
+    "quality.code.not-an-array": "Pas une liste",
+    "quality.code.duplicate-id": "id en double",
+    "quality.code.duplicate-url": "url en double",
+    "quality.code.id-mismatch": "l'id ne correspond pas à la clé",
+    "quality.code.title-fallback": "Titre remplacé par le slug/la clé",
+    "quality.code.missing-image": "Vignette manquante",
+    "quality.code.postal-line": "Ligne postale illisible",
+    "quality.code.long-title": "Titre anormalement long",
+    "quality.code.unknown-source": "Source inconnue",
+    "changes.title": "Modifications",
+    "changes.intro": "Ce que chaque crawl a ajouté, modifié (nom, description, vignette, médaille, url) ou retiré.",
+    "changes.none": "Pas encore d'historique de crawl.",
+    "changes.crawl": "{records} lieux listés ({sources}).",
+    "changes.baseline": "Premier crawl enregistré : le point de départ des modifications suivantes.",
+    "changes.partial": "Crawl partiel : les lieux non atteints n'ont pas été marqués comme retirés.",
+    "changes.added": "Nouveaux",
+    "changes.changed": "Modifiés",
+    "changes.removed": "Retirés",
+    "changes.restored": "De retour",
+    "changes.lastSeen": "vu pour la dernière fois le {date}",
+    "day.maandag": "lundi",
+    "day.dinsdag": "mardi",
+    "day.woensdag": "mercredi",
+    "day.donderdag": "jeudi",
+    "day.vrijdag": "vendredi",
+    "day.zaterdag": "samedi",
+    "day.zondag": "dimanche",
+    "chooser.title": "Choisissez une langue",
+    "llms.languages": "Langues",
+    "llms.exports": "Exports",
+    "export.json": "chaque enregistrement tel qu'extrait, avec les détails imbriqués si lus. Fichiers les plus gros.",
+    "export.csv": "une ligne par lieu, champs plats de la liste uniquement (sans détails imbriqués).",
+    "export.geocsv": "lieux positionnés uniquement : longitude/latitude + POINT WKT, approximatifs.",
+    "export.sqlite": "table `locations`, mêmes colonnes que le CSV, indexée sur id et postalCode.",
+    "export.datapackage": "Frictionless Data Package : champs, licence et sources des fichiers tabulaires.",
+  },
+};
+
+function interpolate(msg, vars) {
+  if (typeof msg === "function") return msg(vars);
+  return msg.replace(/\{(\w+)\}/g, (m, k) => (k in vars ? String(vars[k]) : m));
+}
+
+/**
+ * t(key, vars) for one language. Values in `vars` are inserted as-is, so
+ * escape them first when the result goes into HTML.
+ */
+export function translator(lang) {
+  const own = MESSAGES[lang] || {};
+  const t = (key, vars = {}) => {
+    const msg = own[key] ?? MESSAGES.en[key];
+    return msg === undefined ? key : interpolate(msg, vars);
+  };
+  t.place = (name) => (name ? PLACE_NAMES[name]?.[lang] || name : name);
+  return t;
+}
+
+/**
+ * llms.txt, localized. `root` is the path from the file to the shared
+ * (language-independent) files; `home` the path to this language's pages.
+ * `sources`: home pages of the records' source sites; `details`: how many of
+ * the `total` records carry the detail-page fields (DETAILS crawl).
+ */
+export function llmsTxt(lang, opts) {
+  const { root, home, discovery, ldes = false, exports = [], sources = [], details = 0, total = 0 } = opts;
+  const from = sources.join(", ");
+  // Where the detail fields are besides the location pages
+  const json = exports.some((e) => e.name === "json");
+  const inJson = {
+    en: json ? ` and in ${root}buildings.json (nested \`details\`)` : "",
+    nl: json ? ` en in ${root}buildings.json (genest \`details\`)` : "",
+    fr: json ? ` et dans ${root}buildings.json (\`details\` imbriqué)` : "",
+  };
+  const body = {
+    en: `This site is a JS-free INDEX of locations from ${from}.
+
+## Intended agent behavior
+1) Search/filter by location name using the HTML pages (or ${root}locations.tsv).
+   Each location has one stable page here: ${home}loc-<key>.html (all fields we hold).
+   To look up a name without search, use ${home}az.html (A–Z with a letter jump bar) or
+   ${home}search.html (result pages per first two letters of a word in the name).
+2) Open only the relevant original pages via the \`url\` links.
+${
+  details
+    ? `3) Detailed accessibility fields (entrance, toilet, parking, ...) are on ${home}loc-<key>.html
+   for ${details} of ${total} locations${inJson.en}; open the original page only for the others.`
+    : `3) Extract detailed accessibility observations from the original pages.`
+}
+
+## What is stored here
+${details ? "Basic listing info" : "Only basic listing info"}:
+- title
+- description (often locality/address line)
+- image (listing preview thumbnail if available)
+- url (the ORIGINAL persistent location page)
+- medal (gold/silver/bronze accessibility medal, when the listing shows one)
+${
+  details
+    ? `- details (contact, opening hours and accessibility fields from the original detail page;
+  ${details} of ${total} locations)
+`
+    : ""
+}
+## Map
+- ${root}locations.geojson: one Point per location. Coordinates are APPROXIMATE (centre of the
+  postal code, see properties.precision), never the exact address.
+- ${home}map.html: static map with one marker per municipality.
+
+## Linked Data
+- Every HTML page embeds schema.org JSON-LD (Place / TouristAttraction).
+- ${root}loc-<key>.ttl: one Turtle document per location (subject <#it>, sameAs the original url).
+- ${root}dataset.ttl: DCAT description of this index and its files.
+${
+  ldes
+    ? `- ${root}ldes/stream.ttl: Linked Data Event Stream (TREE) of location versions, to sync changes only.
+`
+    : ""
+}All IRIs are relative, so they resolve against wherever this folder is hosted.
+${
+  discovery
+    ? `
+## Discovery
+- ${root}sitemap.xml: every HTML page of this index.
+- ${root}feed.atom: locations that are new since the previous build.
+`
+    : ""
+}
+${
+  details
+    ? `Detail fields (e.g., wheelchair toilet, door widths) are on the location pages${inJson.en}
+for the locations that have them; for the others, follow \`url\`.`
+    : `This index does NOT aim to contain full accessibility measurements/fields.
+If you need detailed fields (e.g., wheelchair toilet, door widths), follow \`url\`.`
+}
+`,
+
+    nl: `Deze site is een JS-vrije INDEX van locaties op ${from}.
+
+## Verwacht gedrag van agents
+1) Zoek/filter op locatienaam met de HTML-pagina's (of ${root}locations.tsv).
+   Elke locatie heeft hier één vaste pagina: ${home}loc-<key>.html (alle velden die we hebben).
+   Een naam opzoeken zonder zoekfunctie kan via ${home}az.html (A–Z met letterbalk) of
+   ${home}search.html (resultaatpagina's per eerste twee letters van een woord in de naam).
+2) Open alleen de relevante originele pagina's via de \`url\`-links.
+${
+  details
+    ? `3) Gedetailleerde toegankelijkheidsgegevens (ingang, toilet, parking, ...) staan voor ${details} van
+   ${total} locaties op ${home}loc-<key>.html${inJson.nl}; open de originele pagina alleen voor de andere.`
+    : `3) Haal gedetailleerde toegankelijkheidsgegevens van de originele pagina's.`
+}
+
+## Wat hier staat
+${details ? "Basisgegevens uit de lijst" : "Alleen basisgegevens uit de lijst"}:
+- title (naam)
+- description (meestal de postregel)
+- image (miniatuur uit de lijst, indien beschikbaar)
+- url (de ORIGINELE blijvende locatiepagina)
+- medal (gouden/zilveren/bronzen toegankelijkheidsmedaille, als de lijst er een toont)
+${
+  details
+    ? `- details (contact, openingsuren en toegankelijkheidsvelden van de originele detailpagina;
+  ${details} van ${total} locaties)
+`
+    : ""
+}
+## Kaart
+- ${root}locations.geojson: één Point per locatie. Coördinaten zijn BENADERD (midden van de
+  postcode, zie properties.precision), nooit het exacte adres.
+- ${home}map.html: statische kaart met één markering per gemeente.
+
+## Linked Data
+- Elke HTML-pagina bevat schema.org JSON-LD (Place / TouristAttraction).
+- ${root}loc-<key>.ttl: één Turtle-document per locatie (onderwerp <#it>, sameAs de originele url).
+- ${root}dataset.ttl: DCAT-beschrijving van deze index en zijn bestanden.
+${
+  ldes
+    ? `- ${root}ldes/stream.ttl: Linked Data Event Stream (TREE) van locatieversies, om enkel wijzigingen op te halen.
+`
+    : ""
+}Alle IRI's zijn relatief en werken dus waar deze map ook gehost wordt.
+${
+  discovery
+    ? `
+## Ontdekking
+- ${root}sitemap.xml: elke HTML-pagina van deze index.
+- ${root}feed.atom: locaties die sinds de vorige build nieuw zijn.
+`
+    : ""
+}
+${
+  details
+    ? `Detailvelden (bv. rolstoeltoilet, deurbreedtes) staan op de locatiepagina's${inJson.nl}
+voor de locaties die ze hebben; voor de andere: volg \`url\`.`
+    : `Deze index bevat NIET alle toegankelijkheidsmetingen/-velden.
+Voor details (bv. rolstoeltoilet, deurbreedtes): volg \`url\`.`
+}
+`,
+
+    fr: `Ce site est un INDEX sans JavaScript des lieux de ${from}.
+
+## Comportement attendu des agents
+1) Cherchez/filtrez par nom de lieu via les pages HTML (ou ${root}locations.tsv).
+   Chaque lieu a ici une page stable : ${home}loc-<key>.html (tous les champs disponibles).
+   Pour trouver un nom sans recherche : ${home}az.html (A–Z avec barre de lettres) ou
+   ${home}search.html (pages de résultats par les deux premières lettres d'un mot du nom).
+2) N'ouvrez que les pages d'origine pertinentes via les liens \`url\`.
+${
+  details
+    ? `3) Les informations d'accessibilité détaillées (entrée, toilettes, parking, ...) figurent sur
+   ${home}loc-<key>.html pour ${details} lieux sur ${total}${inJson.fr} ;
+   n'ouvrez la page d'origine que pour les autres.`
+    : `3) Relevez les informations d'accessibilité détaillées sur les pages d'origine.`
+}
+
+## Contenu
+${details ? "Informations de base de la liste" : "Uniquement les informations de base de la liste"} :
+- title (nom)
+- description (souvent la ligne postale)
+- image (vignette de la liste, si disponible)
+- url (la page d'ORIGINE permanente du lieu)
+- medal (médaille d'accessibilité or/argent/bronze, si la liste en affiche une)
+${
+  details
+    ? `- details (contact, horaires et champs d'accessibilité de la page de détail d'origine ;
+  ${details} lieux sur ${total})
+`
+    : ""
+}
+## Carte
+- ${root}locations.geojson : un Point par lieu. Les coordonnées sont APPROXIMATIVES (centre du
+  code postal, voir properties.precision), jamais l'adresse exacte.
+- ${home}map.html : carte statique avec un repère par commune.
+
+## Linked Data
+- Chaque page HTML contient du JSON-LD schema.org (Place / TouristAttraction).
+- ${root}loc-<key>.ttl : un document Turtle par lieu (sujet <#it>, sameAs l'url d'origine).
+- ${root}dataset.ttl : description DCAT de cet index et de ses fichiers.
+${
+  ldes
+    ? `- ${root}ldes/stream.ttl : Linked Data Event Stream (TREE) des versions des lieux, pour ne suivre que les changements.
+`
+    : ""
+}Toutes les IRI sont relatives et fonctionnent donc quel que soit l'hébergement de ce dossier.
+${
+  discovery
+    ? `
+## Découverte
+- ${root}sitemap.xml : toutes les pages HTML de cet index.
+- ${root}feed.atom : lieux nouveaux depuis la génération précédente.
+`
+    : ""
+}
+${
+  details
+    ? `Les champs détaillés (p. ex. toilettes accessibles, largeur des portes) figurent sur les pages
+des lieux${inJson.fr} pour les lieux qui en ont ; pour les autres, suivez \`url\`.`
+    : `Cet index ne contient PAS toutes les mesures/champs d'accessibilité.
+Pour les détails (p. ex. toilettes accessibles, largeur des portes), suivez \`url\`.`
+}
+`,
+  };
+
+  const t = translator(lang);
+  const others = LANGUAGES.map(({ code, name }) => `- ${name}: ${root}${code}/llms.txt`).join("\n");
+  const exportLines = exports.map(({ name, files }) => {
+    return `- ${files.map((f) => root + f).join(", ")}: ${t(`export.${name}`)}`;
+  });
+  const exportSection = exportLines.length ? `## ${t("llms.exports")}\n${exportLines.join("\n")}\n\n` : "";
+  return `# ${t("site.title")}\n\n${body[lang] || body.en}\n${exportSection}## ${t("llms.languages")}\n${others}\n`;
+}
@@ -0,0 +1,168 @@
+/**
+ * Local image mirror for build.mjs (MIRROR_IMAGES=true).
+ *
+ * - Downloads every listing `image` once into IMAGE_CACHE/originals/
+ * - Names everything by content hash (sha256 of the downloaded bytes), so a
+ *   changed upstream image gets a new file name and old links never go stale
+ * - Renders two JPEG variants per image (card + large) into IMAGE_CACHE/variants/
+ * - IMAGE_CACHE/manifest.json maps source URL -> hash + variant sizes; re-runs
+ *   reuse it and only download URLs they have not seen (failures are retried)
+ * - mirroredFiles() lists the variants used by this build; build.mjs writes them
+ *   to dist/img/ (with placeholderSvg() as img/placeholder.svg)
+ * - Failed downloads fall back to dist/img/placeholder.svg
+ */
+
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import pLimit from "p-limit";
+import sharp from "sharp";
+
+export const VARIANTS = {
+  card: 480,
+  large: 1200,
+};
+
+export const PLACEHOLDER = {
+  file: "placeholder.svg",
+  width: VARIANTS.card,
+  height: 300,
+};
+
+const MANIFEST_VERSION = 1;
+
+export function placeholderSvg() {
+  const { width, height } = PLACEHOLDER;
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="No image available">
+  <rect width="100%" height="100%" fill="#f3f3f3"/>
+  <g fill="none" stroke="#b5b5b5" stroke-width="6" stroke-linejoin="round">
+    <rect x="${width / 2 - 60}" y="${height / 2 - 45}" width="120" height="90" rx="10"/>
+    <path d="M${width / 2 - 50} ${height / 2 + 35} l35 -40 l25 25 l20 -20 l20 35"/>
+  </g>
+  <circle cx="${width / 2 + 25}" cy="${height / 2 - 20}" r="10" fill="#b5b5b5"/>
+</svg>
+`;
+}
+
+async function fileExists(p) {
+  try {
+    await fs.access(p);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function readManifest(cacheDir) {
+  try {
+    const m = JSON.parse(await fs.readFile(path.join(cacheDir, "manifest.json"), "utf8"));
+    if (m.version === MANIFEST_VERSION) return m;
+  } catch {}
+  return { version: MANIFEST_VERSION, images: {} };
+}
+
+async function writeManifest(cacheDir, manifest) {
+  const file = path.join(cacheDir, "manifest.json");
+  await fs.writeFile(`${file}.tmp`, JSON.stringify(manifest, null, 2), "utf8");
+  await fs.rename(`${file}.tmp`, file);
+}
+
+async function download(url, timeoutMs) {
+  const res = await fetch(url, { signal: AbortSignal.timeout(timeoutMs), redirect: "follow" });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  const type = res.headers.get("content-type") || "";
+  if (type && !/^image\//i.test(type)) throw new Error(`unexpected content-type ${type}`);
+  return Buffer.from(await res.arrayBuffer());
+}
+
+async function renderVariants(bytes, hash, variantsDir) {
+  const out = {};
+  for (const [name, width] of Object.entries(VARIANTS)) {
+    const file = `${hash}-${width}.jpg`;
+    const info = await sharp(bytes)
+      .rotate()
+      .resize({ width, withoutEnlargement: true })
+      .flatten({ background: "#ffffff" })
+      .jpeg({ quality: 78, mozjpeg: true })
+      .toFile(path.join(variantsDir, file));
+    out[name] = { file, width: info.width, height: info.height };
+  }
+  return out;
+}
+
+async function cachedEntryIsComplete(entry, variantsDir) {
+  if (!entry?.variants) return false;
+  for (const name of Object.keys(VARIANTS)) {
+    const v = entry.variants[name];
+    if (!v || !(await fileExists(path.join(variantsDir, v.file)))) return false;
+  }
+  return true;
+}
+
+/**
+ * Mirror all images of `buildings`.
+ *
+ * Returns Map<sourceUrl, { variants: { card, large } } | { placeholder: true, error }>
+ * with file names relative to dist/img/.
+ */
+export async function mirrorImages(buildings, { cacheDir, concurrency = 4, timeoutMs = 20000 }) {
+  const originalsDir = path.join(cacheDir, "originals");
+  const variantsDir = path.join(cacheDir, "variants");
+  await fs.mkdir(originalsDir, { recursive: true });
+  await fs.mkdir(variantsDir, { recursive: true });
+
+  const manifest = await readManifest(cacheDir);
+  const urls = [...new Set(buildings.map((b) => b.image).filter((u) => u && /^https?:\/\//i.test(u)))];
+  const result = new Map();
+  const stats = { cached: 0, downloaded: 0, failed: 0 };
+  const limit = pLimit(concurrency);
+
+  await Promise.all(
+    urls.map((url) =>
+      limit(async () => {
+        const prev = manifest.images[url];
+        if (await cachedEntryIsComplete(prev, variantsDir)) {
+          stats.cached++;
+          result.set(url, { variants: prev.variants });
+          return;
+        }
+
+        try {
+          const bytes = await download(url, timeoutMs);
+          const hash = crypto.createHash("sha256").update(bytes).digest("hex").slice(0, 16);
+          const ext = (path.extname(new URL(url).pathname) || ".img").toLowerCase();
+          await fs.writeFile(path.join(originalsDir, `${hash}${ext}`), bytes);
+          const variants = await renderVariants(bytes, hash, variantsDir);
+          manifest.images[url] = { hash, original: `${hash}${ext}`, fetchedAt: new Date().toISOString(), variants };
+          stats.downloaded++;
+          result.set(url, { variants });
+        } catch (err) {
+          const error = String(err?.message || err);
+          manifest.images[url] = { failedAt: new Date().toISOString(), error };
+          stats.failed++;
+          result.set(url, { placeholder: true, error });
+          console.warn(`[images] failed ${url}: ${error}`);
+        }
+      })
+    )
+  );
+
+  await writeManifest(cacheDir, manifest);
+
+  console.log(`[images] cached=${stats.cached} downloaded=${stats.downloaded} failed=${stats.failed}`);
+  return result;
+}
+
+/**
+ * The variant files behind a mirrorImages() result: [{ rel, file }] with `rel`
+ * relative to dist/ and `file` in the cache.
+ */
+export function mirroredFiles(result, cacheDir) {
+  const files = new Map();
+  for (const entry of result.values()) {
+    for (const v of Object.values(entry.variants || {})) {
+      files.set(v.file, { rel: `img/${v.file}`, file: path.join(cacheDir, "variants", v.file) });
+    }
+  }
+  return [...files.values()];
+}
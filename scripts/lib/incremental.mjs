@@ -0,0 +1,128 @@
+/**
+ * Incremental output for build.mjs.
+ *
+ * dist/build-manifest.json records a content hash (sha256, 16 hex chars) and
+ * size per file the build wrote. The next build compares every output with
+ * it: unchanged files are not rewritten (their mtime stays, so a sync tool
+ * skips them), and files the previous build wrote but this one did not are
+ * deleted. A dist/ without a manifest is cleared once, as before. A file is
+ * only trusted when the one on disk still has that hash, so a damaged or
+ * hand-edited output is written again.
+ *
+ * Outputs are strings, Buffers or (async) iterables of strings; iterables are
+ * written to a temporary file chunk by chunk while they are hashed, so an
+ * export is never joined into one string.
+ *
+ * The manifest also lists what this build changed (`changes`: added,
+ * modified, removed) for deploy steps; see CHANGED_ONLY in build.mjs.
+ */
+
+import crypto from "node:crypto";
+import { once } from "node:events";
+import { createReadStream, createWriteStream } from "node:fs";
+import fs from "node:fs/promises";
+import path from "node:path";
+
+export const MANIFEST_FILE = "build-manifest.json";
+
+const MANIFEST_VERSION = 1;
+
+/**
+ * The manifest of the previous build in `dist`, or null (no build yet, or a
+ * dist/ from before incremental builds).
+ */
+export async function readBuildManifest(dist) {
+  try {
+    const m = JSON.parse(await fs.readFile(path.join(dist, MANIFEST_FILE), "utf8"));
+    if (m.version === MANIFEST_VERSION) return m;
+  } catch {}
+  return null;
+}
+
+export async function writeBuildManifest(dist, { files, changes }) {
+  const manifest = { version: MANIFEST_VERSION, builtAt: new Date().toISOString(), changes, files };
+  await fs.writeFile(path.join(dist, MANIFEST_FILE), JSON.stringify(manifest, null, 2), "utf8");
+}
+
+function hashOf(hash) {
+  return hash.digest("hex").slice(0, 16);
+}
+
+// Hash of the file on disk when it has `size` bytes, else null (missing, or another size)
+async function hashOnDisk(file, size) {
+  try {
+    if ((await fs.stat(file)).size !== size) return null;
+    return (await streamChunks(createReadStream(file), null)).hash;
+  } catch {
+    return null;
+  }
+}
+
+// Stream chunks into `file` (or nowhere, with file = null) while hashing them
+async function streamChunks(chunks, file) {
+  const hash = crypto.createHash("sha256");
+  const out = file ? createWriteStream(file) : null;
+  let size = 0;
+  try {
+    for await (const chunk of chunks) {
+      const bytes = typeof chunk === "string" ? Buffer.from(chunk, "utf8") : chunk;
+      hash.update(bytes);
+      size += bytes.length;
+      if (out && !out.write(bytes)) await once(out, "drain");
+    }
+  } finally {
+    if (out) {
+      out.end();
+      await once(out, "close");
+    }
+  }
+  return { hash: hashOf(hash), size };
+}
+
+/**
+ * Write `content` to `file` unless `previous` ({ hash, size } from the last
+ * manifest) shows the same content is already there. Returns
+ * { hash, size, changed }; with `dryRun` nothing is written.
+ */
+export async function writeIfChanged(file, content, previous, { dryRun = false } = {}) {
+  const same = async (hash, size) =>
+    previous?.hash === hash && previous.size === size && (await hashOnDisk(file, size)) === hash;
+
+  if (typeof content === "string" || Buffer.isBuffer(content)) {
+    const bytes = typeof content === "string" ? Buffer.from(content, "utf8") : content;
+    const hash = hashOf(crypto.createHash("sha256").update(bytes));
+    const changed = !(await same(hash, bytes.length));
+    if (changed && !dryRun) {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, bytes);
+    }
+    return { hash, size: bytes.length, changed };
+  }
+
+  if (dryRun) {
+    const { hash, size } = await streamChunks(content, null);
+    return { hash, size, changed: !(await same(hash, size)) };
+  }
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  const { hash, size } = await streamChunks(content, tmp);
+  const changed = !(await same(hash, size));
+  if (changed) await fs.rename(tmp, file);
+  else await fs.rm(tmp, { force: true });
+  return { hash, size, changed };
+}
+
+/**
+ * Delete `rels` (paths relative to `dist`) and the folders they leave empty.
+ */
+export async function pruneOutputs(dist, rels) {
+  const dirs = new Set();
+  for (const rel of rels) {
+    await fs.rm(path.join(dist, rel), { force: true });
+    for (let d = path.dirname(rel); d !== "."; d = path.dirname(d)) dirs.add(d);
+  }
+  // Deepest first, so a parent is only tried once its children are gone
+  for (const d of [...dirs].sort((a, b) => b.split("/").length - a.split("/").length)) {
+    await fs.rmdir(path.join(dist, d)).catch(() => null);
+  }
+}
@@ -0,0 +1,263 @@
+/**
+ * Linked Data Event Stream for build.mjs: ldes/, a static, TREE-fragmented
+ * stream of location versions. Replicators sync from a plain file server or a
+ * Solid pod by following relative links; no query endpoint is needed.
+ *
+ * Optional subsystem, ON with LDES=true:
+ *   LDES=true
+ *   LDES_STATE=data/ldes-state.json   (versions kept between builds)
+ *   LDES_FRAGMENT_SIZE=100            (width of an ID range; max members per
+ *                                      municipality fragment before it splits)
+ *
+ * Members are versions. Every build compares each location's published
+ * description (placeJsonLd) with its latest version in LDES_STATE and adds a
+ * version when it changed: the first build emits one per location, later
+ * builds only the changed ones. Old versions stay in the stream, also after a
+ * location disappears from the directory. A member is
+ *   <root>loc-<key>.ttl#v<n>  dct:isVersionOf <root>loc-<key>.ttl#it,
+ *                             dct:created = the build that saw it first,
+ *                             other triples as in loc-<key>.ttl at the time
+ *
+ * Layout (two views of the same members, all IRIs relative):
+ *   ldes/stream.ttl                    the ldes:EventStream and its views
+ *   ldes/by-id/root.ttl                relations >= lo and < hi on schema:identifier
+ *   ldes/by-id/<lo>-<hi>.ttl           members with a numeric ID in that range
+ *   ldes/by-municipality/root.ttl      tree:PrefixRelation on the municipality
+ *   ldes/by-municipality/<prefix>.ttl  "B", then "Br", … while over LDES_FRAGMENT_SIZE
+ * Members without a numeric ID or municipality sit in other.ttl of that view,
+ * behind a plain tree:Relation.
+ */
+
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { envNumber } from "./config.mjs";
+import { locationResource, placeJsonLd, placeProperties, ttlString } from "./linked-data.mjs";
+import { recordKey } from "./profiles.mjs";
+import { slugify } from "./slug.mjs";
+
+const STATE_VERSION = 1;
+
+const PREFIXES = `@prefix tree: <https://w3id.org/tree#> .
+@prefix ldes: <https://w3id.org/ldes#> .
+@prefix schema: <https://schema.org/> .
+@prefix dct: <http://purl.org/dc/terms/> .
+@prefix xsd: <http://www.w3.org/2001/XMLSchema#> .
+`;
+
+// From a fragment (ldes/<view>/*.ttl) back to dist/ and to the stream
+const ROOT = "../../";
+const STREAM = "<../stream.ttl#stream>";
+
+const MUNICIPALITY_PATH = "( schema:address schema:addressLocality )";
+
+export function ldesConfig(env = process.env) {
+  return {
+    enabled: String(env.LDES || "false").toLowerCase() === "true",
+    statePath: env.LDES_STATE || "data/ldes-state.json",
+    fragmentSize: envNumber(env, "LDES_FRAGMENT_SIZE", 100),
+  };
+}
+
+async function readState(file) {
+  try {
+    const s = JSON.parse(await fs.readFile(file, "utf8"));
+    if (s.version === STATE_VERSION) return s;
+  } catch {}
+  return null;
+}
+
+function descriptionHash(place) {
+  return crypto.createHash("sha256").update(JSON.stringify(place)).digest("hex").slice(0, 16);
+}
+
+/**
+ * Add a version for every location whose description changed since the
+ * previous build and return the state ({ key -> { resource, versions } };
+ * keys as in recordKey()). `dryRun` computes it without saving.
+ */
+export async function updateLdesState(buildings, { statePath, dryRun = false }, now = new Date()) {
+  const prev = await readState(statePath);
+  const records = { ...(prev?.records || {}) };
+  const stamp = now.toISOString();
+  let added = 0;
+
+  for (const b of buildings) {
+    const key = recordKey(b);
+    const place = placeJsonLd(b);
+    const hash = descriptionHash(place);
+    const versions = records[key]?.versions || [];
+    if (versions.at(-1)?.hash === hash) continue;
+    records[key] = {
+      resource: locationResource(b),
+      versions: [...versions, { v: versions.length + 1, created: stamp, hash, place }],
+    };
+    added++;
+  }
+
+  const state = { version: STATE_VERSION, builtAt: stamp, records };
+  if (!dryRun) {
+    await fs.mkdir(path.dirname(statePath), { recursive: true });
+    await fs.writeFile(statePath, JSON.stringify(state, null, 2), "utf8");
+  }
+  return { state, added };
+}
+
+// Every version ever published, oldest first
+function membersOf(state) {
+  const out = [];
+  for (const { resource, versions } of Object.values(state.records)) {
+    for (const { v, created, place } of versions) {
+      out.push({ iri: `${resource}#v${v}`, of: `${resource}#it`, created, place });
+    }
+  }
+  return out.sort((a, b) => a.created.localeCompare(b.created) || a.iri.localeCompare(b.iri));
+}
+
+function relation(type, node, count, condition = "") {
+  return `[ a ${type} ; tree:node <./${node.file}> ;${condition} tree:remainingItems ${count} ]`;
+}
+
+function otherNode(members) {
+  return { file: "other.ttl", relations: [], members };
+}
+
+/**
+ * ID view: one fragment per range of `size` IDs. IDs are compared as
+ * strings, zero-padded to the longest numeric ID.
+ */
+function idView(members, size) {
+  const numeric = (m) => (/^\d+$/.test(String(m.place.identifier)) ? Number(m.place.identifier) : null);
+  const width = Math.max(1, ...members.filter((m) => numeric(m) != null).map((m) => String(m.place.identifier).length));
+  const pad = (n) => String(n).padStart(width, "0");
+
+  const ranges = new Map();
+  const other = [];
+  for (const m of members) {
+    const n = numeric(m);
+    if (n == null) other.push(m);
+    else {
+      const lo = Math.floor(n / size) * size;
+      if (!ranges.has(lo)) ranges.set(lo, []);
+      ranges.get(lo).push(m);
+    }
+  }
+
+  const root = { file: "root.ttl", relations: [], members: [] };
+  const nodes = [root];
+  for (const [lo, items] of [...ranges].sort((a, b) => a[0] - b[0])) {
+    const node = { file: `${pad(lo)}-${pad(lo + size - 1)}.ttl`, relations: [], members: items };
+    const on = (value) => ` tree:path schema:identifier ; tree:value ${ttlString(value)} ;`;
+    root.relations.push(
+      relation("tree:GreaterThanOrEqualToRelation", node, items.length, on(pad(lo))),
+      relation("tree:LessThanRelation", node, items.length, on(pad(lo + size)))
+    );
+    nodes.push(node);
+  }
+  if (other.length) {
+    const node = otherNode(other);
+    root.relations.push(relation("tree:Relation", node, other.length));
+    nodes.push(node);
+  }
+  return nodes;
+}
+
+/**
+ * Municipality view: fragments per leading characters of the municipality,
+ * one character longer wherever a fragment would hold more than `size`.
+ */
+function municipalityView(members, size) {
+  const municipality = (m) => m.place.address?.addressLocality || null;
+  const prefix = (m, depth) => [...municipality(m)].slice(0, depth).join("");
+  const used = new Set(["root", "other"]);
+  const fileFor = (p) => {
+    const base = slugify(p) || "x";
+    let name = base;
+    for (let i = 2; used.has(name); i++) name = `${base}-${i}`;
+    used.add(name);
+    return `${name}.ttl`;
+  };
+
+  const nodes = [];
+  const split = (items, depth, parent) => {
+    const groups = new Map();
+    for (const m of items) {
+      const p = prefix(m, depth);
+      if (!groups.has(p)) groups.set(p, []);
+      groups.get(p).push(m);
+    }
+    for (const [p, group] of [...groups].sort((a, b) => a[0].localeCompare(b[0]))) {
+      const node = { file: fileFor(p), relations: [], members: [] };
+      const on = ` tree:path ${MUNICIPALITY_PATH} ; tree:value ${ttlString(p)} ;`;
+      parent.relations.push(relation("tree:PrefixRelation", node, group.length, on));
+      nodes.push(node);
+      const deeper = new Set(group.map((m) => prefix(m, depth + 1)));
+      if (group.length > size && deeper.size > 1) split(group, depth + 1, node);
+      else node.members = group;
+    }
+  };
+
+  const root = { file: "root.ttl", relations: [], members: [] };
+  const other = members.filter((m) => !municipality(m));
+  split(members.filter((m) => municipality(m)), 1, root);
+  if (other.length) {
+    const node = otherNode(other);
+    root.relations.push(relation("tree:Relation", node, other.length));
+    nodes.push(node);
+  }
+  return [root, ...nodes];
+}
+
+function memberTurtle(m) {
+  const props = [
+    `dct:isVersionOf <${ROOT}${m.of}>`,
+    `dct:created ${ttlString(m.created)}^^xsd:dateTime`,
+    ...placeProperties(m.place),
+  ];
+  return `<${ROOT}${m.iri}> a schema:Place, schema:TouristAttraction ;\n${props.map((p) => `  ${p}`).join(" ;\n")} .`;
+}
+
+function nodeTurtle(node) {
+  const parts = [`<> a tree:Node${node.relations.map((r) => ` ;\n  tree:relation ${r}`).join("")} .`];
+  if (node.file === "root.ttl") parts.push(`${STREAM} tree:view <> .`);
+  if (node.members.length) {
+    parts.push(`${STREAM} tree:member ${node.members.map((m) => `<${ROOT}${m.iri}>`).join(",\n  ")} .`);
+    parts.push(...node.members.map(memberTurtle));
+  }
+  return `${PREFIXES}\n${parts.join("\n\n")}\n`;
+}
+
+const VIEWS = [
+  { dir: "by-id", build: idView, description: (size) => `Members by location ID, in ranges of ${size}` },
+  { dir: "by-municipality", build: municipalityView, description: () => "Members by municipality name prefix" },
+];
+
+/**
+ * ldes/ for `state` (see updateLdesState): { files: [{ file, content }],
+ * members } with files relative to dist/.
+ */
+export function ldesFiles(state, { fragmentSize, title }) {
+  const members = membersOf(state);
+  const out = [];
+  for (const view of VIEWS) {
+    for (const node of view.build(members, fragmentSize)) {
+      out.push({ file: `ldes/${view.dir}/${node.file}`, content: nodeTurtle(node) });
+    }
+  }
+
+  const views = VIEWS.map(
+    (v) => `<./${v.dir}/root.ttl> tree:viewDescription [ dct:description ${ttlString(v.description(fragmentSize))} ] .`
+  );
+  const stream = `${PREFIXES}
+<#stream> a ldes:EventStream ;
+  dct:title ${ttlString(title)} ;
+  dct:isPartOf <../dataset.ttl#dataset> ;
+  ldes:timestampPath dct:created ;
+  ldes:versionOfPath dct:isVersionOf ;
+  tree:view ${VIEWS.map((v) => `<./${v.dir}/root.ttl>`).join(", ")} .
+
+${views.join("\n")}
+`;
+  out.unshift({ file: "ldes/stream.ttl", content: stream });
+  return { files: out, members: members.length };
+}
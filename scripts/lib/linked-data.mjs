@@ -0,0 +1,236 @@
+/**
+ * schema.org / DCAT descriptions of the static index, used by build.mjs.
+ *
+ * Every location is published as loc-<key>.ttl with subject <#it>
+ * (a schema:Place + schema:TouristAttraction). HTML pages embed the same
+ * description as JSON-LD with "@id": "<root>loc-<key>.ttl#it" (`root` is the
+ * path from the page back to dist/, e.g. "../" for dist/nl/), so both resolve
+ * to the same IRI relative to wherever dist/ is hosted (pod, file server, disk).
+ *
+ * dataset.ttl describes the whole index as a dcat:Dataset with its
+ * distributions and links to every location resource.
+ */
+
+import { fileKey } from "./slug.mjs";
+
+export const SOURCE_URL = "https://iedereen.overal.info/";
+
+const MEDAL_NAME = "IedereenOveral accessibility medal";
+
+export function locationResource(b) {
+  return `loc-${fileKey(b)}.ttl`;
+}
+
+export function locationIri(b, root = "./") {
+  return `${root}${locationResource(b)}#it`;
+}
+
+function amenityFeatures(b) {
+  const out = [];
+  if (b.medal) out.push({ name: MEDAL_NAME, value: b.medal });
+  for (const a of b.details?.accessibility || []) {
+    out.push({
+      name: a.section ? `${a.section}: ${a.label}` : a.label,
+      value: a.number ?? a.value,
+      unitText: a.unit || null,
+    });
+  }
+  return out;
+}
+
+/**
+ * JSON-LD object for one location (without @context; wrap it, see itemListJsonLd).
+ */
+export function placeJsonLd(b, { root = "./" } = {}) {
+  const street = b.details?.address?.street || null;
+  const address =
+    b.postalCode || street
+      ? {
+          "@type": "PostalAddress",
+          ...(street ? { streetAddress: street } : {}),
+          ...(b.postalCode ? { postalCode: b.postalCode } : {}),
+          ...(b.municipality ? { addressLocality: b.municipality } : {}),
+          ...(b.province || b.region ? { addressRegion: b.province || b.region } : {}),
+          addressCountry: "BE",
+        }
+      : null;
+
+  const features = amenityFeatures(b).map((f) => ({
+    "@type": "LocationFeatureSpecification",
+    name: f.name,
+    value: f.value,
+    ...(f.unitText ? { unitText: f.unitText } : {}),
+  }));
+
+  return {
+    "@id": locationIri(b, root),
+    "@type": ["Place", "TouristAttraction"],
+    identifier: b.id || b.key,
+    name: b.title || b.key,
+    ...(b.description ? { description: b.description } : {}),
+    ...(address ? { address } : {}),
+    ...(b.image ? { image: b.image } : {}),
+    ...(b.details?.contact?.phone?.[0] ? { telephone: b.details.contact.phone[0] } : {}),
+    url: b.canonical || b.url,
+    sameAs: b.url,
+    ...(features.length ? { amenityFeature: features } : {}),
+  };
+}
+
+/**
+ * JSON-LD for a listing page: a schema:ItemList of the locations on it.
+ */
+export function itemListJsonLd(items, { name, offset = 0, root = "./" }) {
+  return {
+    "@context": "https://schema.org",
+    "@type": "ItemList",
+    name,
+    numberOfItems: items.length,
+    itemListElement: items.map((b, i) => ({
+      "@type": "ListItem",
+      position: offset + i + 1,
+      item: placeJsonLd(b, { root }),
+    })),
+  };
+}
+
+/**
+ * Serialize for a <script type="application/ld+json"> block ("</script>"-safe).
+ */
+export function jsonLdScript(doc) {
+  const json = JSON.stringify(doc, null, 2).replaceAll("<", "\\u003c");
+  return `<script type="application/ld+json">\n${json}\n</script>`;
+}
+
+/**
+ * -------- Turtle --------
+ */
+export function ttlString(s) {
+  return `"${String(s)
+    .replaceAll("\\", "\\\\")
+    .replaceAll('"', '\\"')
+    .replaceAll("\n", "\\n")
+    .replaceAll("\r", "\\r")}"`;
+}
+
+export function ttlIri(iri) {
+  return `<${String(iri).replace(/[\u0000- <>"{}|^`\\]/g, (c) => encodeURIComponent(c))}>`;
+}
+
+function ttlLiteral(v) {
+  if (typeof v !== "number" || !Number.isFinite(v)) return ttlString(v);
+  return Number.isInteger(v) ? String(v) : `"${v}"^^xsd:decimal`;
+}
+
+const TTL_PREFIXES = `@prefix schema: <https://schema.org/> .
+@prefix dcat: <http://www.w3.org/ns/dcat#> .
+@prefix dct: <http://purl.org/dc/terms/> .
+@prefix xsd: <http://www.w3.org/2001/XMLSchema#> .
+`;
+
+/**
+ * Turtle predicate-object pairs ("schema:name \"…\"") of a placeJsonLd()
+ * object, shared by loc-<key>.ttl and the LDES members (lib/ldes.mjs).
+ */
+export function placeProperties(p) {
+  const out = [];
+  const add = (pred, obj) => out.push(`${pred} ${obj}`);
+
+  add("schema:identifier", ttlString(p.identifier));
+  add("schema:name", ttlString(p.name));
+  if (p.description) add("schema:description", ttlString(p.description));
+  if (p.image) add("schema:image", ttlIri(p.image));
+  if (p.telephone) add("schema:telephone", ttlString(p.telephone));
+  add("schema:url", ttlIri(p.url));
+  add("schema:sameAs", ttlIri(p.sameAs));
+
+  if (p.address) {
+    const a = p.address;
+    const parts = [
+      "a schema:PostalAddress",
+      a.streetAddress ? `schema:streetAddress ${ttlString(a.streetAddress)}` : null,
+      a.postalCode ? `schema:postalCode ${ttlString(a.postalCode)}` : null,
+      a.addressLocality ? `schema:addressLocality ${ttlString(a.addressLocality)}` : null,
+      a.addressRegion ? `schema:addressRegion ${ttlString(a.addressRegion)}` : null,
+      `schema:addressCountry ${ttlString(a.addressCountry)}`,
+    ].filter(Boolean);
+    add("schema:address", `[ ${parts.join(" ; ")} ]`);
+  }
+
+  for (const f of p.amenityFeature || []) {
+    const parts = [
+      "a schema:LocationFeatureSpecification",
+      `schema:name ${ttlString(f.name)}`,
+      `schema:value ${ttlLiteral(f.value)}`,
+      f.unitText ? `schema:unitText ${ttlString(f.unitText)}` : null,
+    ].filter(Boolean);
+    add("schema:amenityFeature", `[ ${parts.join(" ; ")} ]`);
+  }
+  return out;
+}
+
+/**
+ * loc-<key>.ttl: the location as <#it>, the document itself as <>.
+ */
+export function placeTurtle(b) {
+  const props = placeProperties(placeJsonLd(b)).map((l) => `  ${l}`);
+  const lines = [`<#it> a schema:Place, schema:TouristAttraction`, ...props];
+
+  return `${TTL_PREFIXES}
+<> a schema:WebPage ;
+  schema:about <#it> ;
+  dct:isPartOf <./dataset.ttl#dataset> .
+
+${lines.join(" ;\n")} .
+`;
+}
+
+/**
+ * loc-<key>.ttl of a record merged into another one (lib/duplicates.mjs): the
+ * old resource stays resolvable and points at the surviving location.
+ */
+export function mergedTurtle(from, to) {
+  const target = `./${locationResource(to)}`;
+  return `${TTL_PREFIXES}@prefix owl: <http://www.w3.org/2002/07/owl#> .
+
+<> a schema:WebPage ;
+  dct:isReplacedBy ${ttlIri(target)} .
+
+<#it> owl:sameAs ${ttlIri(`${target}#it`)} ;
+  schema:identifier ${ttlString(from.id)} .
+`;
+}
+
+/**
+ * dataset.ttl: DCAT description of the whole index.
+ *
+ * `distributions` are { file, mediaType, title } relative to dist/; `sources`
+ * the home pages of the directories the records came from; `modified` (a
+ * date, optional) when the records were crawled.
+ */
+export function datasetTurtle(buildings, { title, description, modified, distributions, sources = [SOURCE_URL] }) {
+  const dist = distributions.map(
+    (d, i) => `<#dist-${i + 1}> a dcat:Distribution ;
+  dct:title ${ttlString(d.title)} ;
+  dcat:accessURL ${ttlIri(`./${d.file}`)} ;
+  dcat:downloadURL ${ttlIri(`./${d.file}`)} ;
+  dcat:mediaType ${ttlIri(`https://www.iana.org/assignments/media-types/${d.mediaType}`)} .`
+  );
+
+  const props = [
+    ...distributions.map((_, i) => `  dcat:distribution <#dist-${i + 1}>`),
+    ...buildings.map((b) => `  dct:hasPart ${ttlIri(locationIri(b))}`),
+  ];
+
+  return `${TTL_PREFIXES}
+<#dataset> a dcat:Dataset ;
+  dct:title ${ttlString(title)} ;
+  dct:description ${ttlString(description)} ;
+${sources.map((s) => `  dct:source ${ttlIri(s)} ;`).join("\n")}
+${modified ? `  dct:modified ${ttlString(modified)}^^xsd:date ;
+` : ""}  dcat:landingPage <./index.html> ;
+${props.join(" ;\n")} .
+
+${dist.join("\n\n")}
+`;
+}
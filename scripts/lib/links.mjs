@@ -0,0 +1,216 @@
+/**
+ * Link health check for build.mjs (CHECK_LINKS=true): requests every original
+ * `url` and `image` before the pages are rendered, so renamed slugs show up as
+ * a note on the card instead of a silent 404.
+ *
+ * - HEAD first (GET when the server refuses HEAD); redirects are followed by
+ *   hand, so every hop and its status is known
+ * - ok: 2xx straight away; redirected: 2xx after redirects; dead: any other
+ *   4xx; error: network errors, timeouts, 429 and 5xx that outlast the retries
+ * - LINK_CONCURRENCY requests at a time; errors get LINK_RETRIES more attempts
+ *   (backoff as in crawl.mjs)
+ * - LINK_CACHE keeps results for LINK_MAX_AGE hours; errors are always checked
+ *   again
+ *
+ * markLinkHealth() writes the outcome into the records: linkHealth
+ * { url, image } (status or null), and `canonical` becomes the final address
+ * when every hop of a `url` redirect was permanent (301/308). linkReport() is
+ * dist/link-health.json.
+ *
+ * Only http(s) URLs are checked, wherever they point: a DATA file whose urls
+ * and images point at a local HTTP stand-in checks that server instead.
+ * scripts/check-links.mjs does exactly that with fixed 200/301/404/503 routes
+ * and asserts the statuses and `canonical` (npm run check:links).
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import pLimit from "p-limit";
+import { envNumber } from "./config.mjs";
+import { withRetry } from "./crawl.mjs";
+import { recordKey } from "./profiles.mjs";
+
+const CACHE_VERSION = 1;
+const MAX_REDIRECTS = 5;
+const TIMEOUT_MS = 15000;
+const RETRY_DELAY_MS = 1000;
+const PERMANENT = [301, 308];
+const USER_AGENT = "iedereenoveral-static-index link check";
+
+export const LINK_STATUSES = ["ok", "redirected", "dead", "error"];
+
+export function linkCheckConfig(env = process.env) {
+  return {
+    enabled: String(env.CHECK_LINKS || "false").toLowerCase() === "true",
+    cachePath: env.LINK_CACHE || "data/link-cache.json",
+    concurrency: envNumber(env, "LINK_CONCURRENCY", 4),
+    retries: envNumber(env, "LINK_RETRIES", 2),
+    maxAgeHours: envNumber(env, "LINK_MAX_AGE", 24),
+  };
+}
+
+async function readCache(file) {
+  try {
+    const c = JSON.parse(await fs.readFile(file, "utf8"));
+    if (c.version === CACHE_VERSION) return c;
+  } catch {}
+  return { version: CACHE_VERSION, links: {} };
+}
+
+async function writeCache(file, cache) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(`${file}.tmp`, JSON.stringify(cache, null, 2), "utf8");
+  await fs.rename(`${file}.tmp`, file);
+}
+
+async function request(url, method) {
+  const res = await fetch(url, {
+    method,
+    redirect: "manual",
+    headers: { "user-agent": USER_AGENT },
+    signal: AbortSignal.timeout(TIMEOUT_MS),
+  });
+  await res.body?.cancel();
+  return res;
+}
+
+// Final status of `url` and the redirects on the way: { httpStatus, finalUrl, hops: [{ status, location }] }
+async function probe(url) {
+  const hops = [];
+  let current = url;
+  for (let i = 0; i <= MAX_REDIRECTS; i++) {
+    let res = await request(current, "HEAD");
+    if (res.status === 405 || res.status === 501) res = await request(current, "GET");
+    const location = res.headers.get("location");
+    if (res.status < 300 || res.status >= 400 || !location) return { httpStatus: res.status, finalUrl: current, hops };
+    current = new URL(location, current).toString();
+    hops.push({ status: res.status, location: current });
+  }
+  throw new Error(`more than ${MAX_REDIRECTS} redirects`);
+}
+
+function classify({ httpStatus, hops }) {
+  if (httpStatus >= 200 && httpStatus < 300) return hops.length ? "redirected" : "ok";
+  if (httpStatus === 429 || httpStatus >= 500) return "error";
+  return "dead";
+}
+
+async function checkUrl(url, { retries }) {
+  const checkedAt = new Date().toISOString();
+  try {
+    const result = await withRetry(
+      async () => {
+        const r = await probe(url);
+        const status = classify(r);
+        if (status === "error") throw new Error(`HTTP ${r.httpStatus}`);
+        return { status, ...r };
+      },
+      { label: `check ${url}`, attempts: retries + 1, baseDelayMs: RETRY_DELAY_MS }
+    );
+    return { ...result, checkedAt };
+  } catch (err) {
+    return { status: "error", error: String(err?.message || err), checkedAt };
+  }
+}
+
+function isFresh(entry, maxAgeHours, now) {
+  if (!entry || entry.status === "error") return false;
+  return now - Date.parse(entry.checkedAt) < maxAgeHours * 3600 * 1000;
+}
+
+/**
+ * Check every url and image of `buildings`. Returns { results, stats } with
+ * results: Map<url, { status, httpStatus, finalUrl, hops, error, checkedAt }>.
+ * `dryRun` leaves the cache file untouched.
+ */
+export async function checkLinks(buildings, { cachePath, concurrency = 4, retries = 2, maxAgeHours = 24, dryRun }) {
+  const cache = await readCache(cachePath);
+  const now = Date.now();
+  const urls = [...new Set(buildings.flatMap((b) => [b.url, b.image]).filter((u) => u && /^https?:\/\//i.test(u)))];
+  const results = new Map();
+  const stats = { checked: 0, cached: 0, ...Object.fromEntries(LINK_STATUSES.map((s) => [s, 0])) };
+  const limit = pLimit(concurrency);
+
+  await Promise.all(
+    urls.map((url) =>
+      limit(async () => {
+        let entry = cache.links[url];
+        if (isFresh(entry, maxAgeHours, now)) stats.cached++;
+        else {
+          entry = await checkUrl(url, { retries });
+          cache.links[url] = entry;
+          stats.checked++;
+          const why = entry.error ? `: ${entry.error}` : "";
+          if (entry.status !== "ok") console.warn(`[links] ${entry.status} ${url}${why}`);
+        }
+        stats[entry.status]++;
+        results.set(url, entry);
+      })
+    )
+  );
+
+  if (!dryRun) await writeCache(cachePath, cache);
+  console.log(
+    `[links] ${urls.length} urls (checked=${stats.checked} cached=${stats.cached}): ` +
+      LINK_STATUSES.map((s) => `${s}=${stats[s]}`).join(" ")
+  );
+  return { results, stats };
+}
+
+function movedPermanently(entry) {
+  return entry?.status === "redirected" && entry.hops.every((h) => PERMANENT.includes(h.status));
+}
+
+/**
+ * Records with `linkHealth` and, for permanently moved pages, the new `canonical`.
+ */
+export function markLinkHealth(buildings, results) {
+  return buildings.map((b) => {
+    const url = results.get(b.url);
+    const image = b.image ? results.get(b.image) : null;
+    const linkHealth = { url: url?.status ?? null, image: image?.status ?? null };
+    return { ...b, linkHealth, ...(movedPermanently(url) ? { canonical: url.finalUrl } : {}) };
+  });
+}
+
+/**
+ * The original page may no longer be what the card points at.
+ */
+export function linkOutdated(b) {
+  return ["dead", "redirected"].includes(b.linkHealth?.url);
+}
+
+/**
+ * dist/link-health.json: totals, plus every url or image that is not ok with
+ * the records that use it.
+ */
+export function linkReport(buildings, { results, stats }) {
+  const users = new Map();
+  for (const b of buildings) {
+    for (const [field, url] of [
+      ["url", b.url],
+      ["image", b.image],
+    ]) {
+      if (!results.has(url)) continue;
+      if (!users.has(url)) users.set(url, []);
+      users.get(url).push({ key: recordKey(b), field });
+    }
+  }
+
+  const links = [...results]
+    .filter(([, r]) => r.status !== "ok")
+    .map(([url, r]) => ({
+      url,
+      status: r.status,
+      httpStatus: r.httpStatus ?? null,
+      finalUrl: r.finalUrl ?? null,
+      permanent: r.status === "redirected" ? movedPermanently(r) : null,
+      redirects: r.hops || [],
+      error: r.error || null,
+      checkedAt: r.checkedAt,
+      records: users.get(url) || [],
+    }))
+    .sort((a, b) => LINK_STATUSES.indexOf(b.status) - LINK_STATUSES.indexOf(a.status) || a.url.localeCompare(b.url));
+
+  return { summary: stats, links };
+}
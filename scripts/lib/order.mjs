@@ -0,0 +1,81 @@
+/**
+ * Orderings for the extra card page sets of build.mjs (the main index keeps
+ * the extract order: by url, so in effect by ID).
+ *
+ * - byTitle: Intl.Collator of the page language, so accents and case do not
+ *   split names ("Élise" next to "Elise") and numbers sort as numbers. A
+ *   leading elided Dutch article ('t, 's, 'n) and leading punctuation are
+ *   skipped: "'t Kroonrad" is filed under K.
+ * - byMunicipality: municipality, then postal code, then title; records
+ *   without a parsed postal line go last
+ * - byRecent: highest ID first (the source sites number locations in the
+ *   order they were added); records without a numeric ID go last
+ */
+
+// Leading "'t ", "’s-", "'n " … (any apostrophe style)
+const ELIDED_ARTICLE = /^['’‘`]\s*[tsn][\s-]+/i;
+
+export const LETTERS = ["#", ..."ABCDEFGHIJKLMNOPQRSTUVWXYZ"];
+
+function titleOf(b) {
+  return String(b.title || b.key || b.url || "");
+}
+
+// The part of a title that is sorted on
+export function sortTitle(title) {
+  return String(title ?? "")
+    .trim()
+    .replace(ELIDED_ARTICLE, "")
+    .replace(/^[^\p{L}\p{N}]+/u, "");
+}
+
+// Jump-bar letter of a title: A–Z without diacritics, "#" for everything else
+export function letterOf(title) {
+  const first = sortTitle(title).normalize("NFD").charAt(0).toUpperCase();
+  return /^[A-Z]$/.test(first) ? first : "#";
+}
+
+export function collator(lang) {
+  return new Intl.Collator(lang, { sensitivity: "base", numeric: true });
+}
+
+export function byTitle(items, lang) {
+  const { compare } = collator(lang);
+  return [...items].sort(
+    (a, b) =>
+      compare(sortTitle(titleOf(a)), sortTitle(titleOf(b))) ||
+      compare(titleOf(a), titleOf(b)) ||
+      a.url.localeCompare(b.url)
+  );
+}
+
+export function byMunicipality(items, lang) {
+  const { compare } = collator(lang);
+  const placed = (b) => (b.municipality ? 0 : 1);
+  return [...items].sort(
+    (a, b) =>
+      placed(a) - placed(b) ||
+      compare(a.municipality || "", b.municipality || "") ||
+      String(a.postalCode || "").localeCompare(String(b.postalCode || "")) ||
+      compare(sortTitle(titleOf(a)), sortTitle(titleOf(b))) ||
+      a.url.localeCompare(b.url)
+  );
+}
+
+export function byRecent(items) {
+  const id = (b) => (/^\d+$/.test(String(b.id ?? "")) ? Number(b.id) : -1);
+  return [...items].sort((a, b) => id(b) - id(a) || a.url.localeCompare(b.url));
+}
+
+/**
+ * letter -> index of the page (of `pageSize` items) its first title is on,
+ * for items already sorted byTitle.
+ */
+export function letterPages(items, pageSize) {
+  const out = new Map();
+  items.forEach((b, i) => {
+    const letter = letterOf(titleOf(b));
+    if (!out.has(letter)) out.set(letter, Math.floor(i / pageSize));
+  });
+  return out;
+}
@@ -0,0 +1,99 @@
+/**
+ * Site profiles: everything extract.mjs needs to know about one directory site.
+ *
+ * A profile is a plain object (see scripts/profiles/iedereenoveral.mjs):
+ *   name, label, homepage   `name` becomes the `source` field of every record
+ *   startUrl, locale        first listing page, browser locale
+ *   noJsText                body text that means the SPA did not render (optional)
+ *   cookieButtons           button-name patterns clicked once on the first page
+ *   location                linkSelector (listing links), pathPattern (which
+ *                           link paths are locations), keyPattern/idPattern
+ *   pagination              strategy "click" (SPA pager: nav/current/numbers/next
+ *                           selectors), "url" (pageUrl with {page}, firstPage)
+ *                           or "none" (one listing page); a pageUrl also lets
+ *                           LISTING_CONCURRENCY open listing pages in parallel
+ *   card                    field pickers for listing cards (title, postal line,
+ *                           preview image, medal)
+ *   details                 patterns for the optional detail-page crawl
+ *
+ * Selectors are CSS; patterns are RegExp sources, compiled case-insensitive.
+ *
+ * PROFILE=<name> picks a built-in profile; PROFILE=./my-site.mjs loads a
+ * module whose default export is a profile.
+ */
+
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import iedereenoveral from "../profiles/iedereenoveral.mjs";
+
+export const DEFAULT_PROFILE = "iedereenoveral";
+
+export const PROFILES = {
+  [iedereenoveral.name]: iedereenoveral,
+};
+
+const REQUIRED = ["name", "label", "homepage", "startUrl", "location", "pagination", "card"];
+const STRATEGIES = ["click", "url", "none"];
+
+function checkProfile(p, from) {
+  for (const k of REQUIRED) {
+    if (!p?.[k]) throw new Error(`Profile ${from} has no "${k}".`);
+  }
+  for (const k of ["linkSelector", "pathPattern", "keyPattern", "idPattern"]) {
+    if (!p.location[k]) throw new Error(`Profile ${from} has no "location.${k}".`);
+  }
+  for (const k of ["textSelector", "postalLinePattern"]) {
+    if (!p.card[k]) throw new Error(`Profile ${from} has no "card.${k}".`);
+  }
+  if (!/^[a-z0-9-]+$/.test(p.name)) throw new Error(`Profile ${from}: name must match [a-z0-9-]+, got "${p.name}".`);
+  if (!STRATEGIES.includes(p.pagination.strategy)) {
+    throw new Error(`Profile ${from}: pagination.strategy must be one of ${STRATEGIES.join(", ")}.`);
+  }
+  const { strategy, pageUrl } = p.pagination;
+  if ((strategy === "url" || pageUrl) && !String(pageUrl || "").includes("{page}")) {
+    throw new Error(`Profile ${from}: pagination.pageUrl needs a {page} placeholder.`);
+  }
+  return p;
+}
+
+/**
+ * Built-in profile by name, or null.
+ */
+export function getProfile(name) {
+  return PROFILES[name || DEFAULT_PROFILE] || null;
+}
+
+/**
+ * Built-in profile by name, or a profile module by path.
+ */
+export async function loadProfile(nameOrPath = DEFAULT_PROFILE) {
+  const builtin = getProfile(nameOrPath);
+  if (builtin) return checkProfile(builtin, nameOrPath);
+  if (!/[/\\]|\.m?js$/.test(nameOrPath)) {
+    throw new Error(`Unknown profile "${nameOrPath}" (built-in: ${Object.keys(PROFILES).join(", ")}).`);
+  }
+  const mod = await import(pathToFileURL(path.resolve(nameOrPath)).href);
+  return checkProfile(mod.default, nameOrPath);
+}
+
+/**
+ * { key, id, slug } of a location url according to the profile's patterns.
+ */
+export function parseKey(profile, url) {
+  const m = String(url).match(new RegExp(profile.location.keyPattern, "i"));
+  const key = m ? m[1] : null;
+  const idMatch = key?.match(new RegExp(profile.location.idPattern, "i"));
+  return {
+    key: key || null,
+    id: idMatch ? idMatch[1] : null,
+    slug: idMatch ? idMatch[2] : null,
+  };
+}
+
+/**
+ * Identity of a record across merged sources. Records of the default source
+ * keep their bare key, so existing state files stay valid.
+ */
+export function recordKey(b) {
+  return !b.source || b.source === DEFAULT_PROFILE ? b.key : `${b.source}:${b.key}`;
+}
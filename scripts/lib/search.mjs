@@ -0,0 +1,97 @@
+/**
+ * Prebuilt search for build.mjs: a sharded prefix index under search/ that
+ * theme/search.js queries in the browser, plus the grouping behind the static
+ * search-<prefix>.html result pages for visitors without JavaScript.
+ *
+ * Text is folded like file names (slugify: diacritics dropped, lower case,
+ * anything but a-z0-9 splits words), so "Café Brasserie" and "cafe brass"
+ * match. Indexed words come from the title, the municipality and the postal
+ * code. Every word is stored under each of its prefixes of MIN_PREFIX to
+ * MAX_PREFIX characters; longer queries are checked against the documents.
+ *
+ *   search/index.json   { version, minPrefix, maxPrefix, shardChars, docChunk, docs, shards }
+ *   search/<xx>.json    { "<prefix>": [doc, ...] } for prefixes starting with <xx>
+ *   search/docs-<n>.json  [[title, municipality, postalCode, fileKey], ...], docs
+ *                         n * docChunk onwards (the page is loc-<fileKey>.html)
+ *
+ * A one-word lookup fetches index.json, one shard and the doc chunks of its
+ * hits; nothing is ever loaded whole.
+ */
+
+import { fileKey, slugify } from "./slug.mjs";
+
+const INDEX_VERSION = 1;
+export const MIN_PREFIX = 2;
+const MAX_PREFIX = 10;
+const SHARD_CHARS = 2;
+const DOC_CHUNK = 200;
+
+export function foldWords(s) {
+  return slugify(s).split("-").filter(Boolean);
+}
+
+function indexedWords(b) {
+  return new Set([...foldWords(b.title || b.key), ...foldWords(b.municipality), ...foldWords(b.postalCode)]);
+}
+
+/**
+ * search/ for `buildings` (in index order): [{ file, content }] relative to dist/.
+ */
+export function searchIndexFiles(buildings) {
+  const prefixes = new Map();
+  buildings.forEach((b, doc) => {
+    for (const word of indexedWords(b)) {
+      for (let n = MIN_PREFIX; n <= Math.min(word.length, MAX_PREFIX); n++) {
+        const prefix = word.slice(0, n);
+        if (!prefixes.has(prefix)) prefixes.set(prefix, new Set());
+        prefixes.get(prefix).add(doc);
+      }
+    }
+  });
+
+  const shards = new Map();
+  for (const [prefix, docs] of [...prefixes].sort((a, b) => a[0].localeCompare(b[0]))) {
+    const shard = prefix.slice(0, SHARD_CHARS);
+    if (!shards.has(shard)) shards.set(shard, {});
+    shards.get(shard)[prefix] = [...docs].sort((a, b) => a - b);
+  }
+
+  const files = [...shards].map(([shard, entries]) => ({
+    file: `search/${shard}.json`,
+    content: JSON.stringify(entries),
+  }));
+  for (let start = 0; start < buildings.length; start += DOC_CHUNK) {
+    const docs = buildings
+      .slice(start, start + DOC_CHUNK)
+      .map((b) => [b.title || b.key, b.municipality || null, b.postalCode || null, fileKey(b)]);
+    files.push({ file: `search/docs-${start / DOC_CHUNK}.json`, content: JSON.stringify(docs) });
+  }
+
+  const index = {
+    version: INDEX_VERSION,
+    minPrefix: MIN_PREFIX,
+    maxPrefix: MAX_PREFIX,
+    shardChars: SHARD_CHARS,
+    docChunk: DOC_CHUNK,
+    docs: buildings.length,
+    shards: [...shards.keys()],
+  };
+  files.unshift({ file: "search/index.json", content: JSON.stringify(index) });
+  return files;
+}
+
+/**
+ * Title word prefixes ("br" for "Brasserie") with the records whose title has
+ * a word starting with them, sorted by prefix: the static result pages.
+ */
+export function titlePrefixGroups(buildings) {
+  const groups = new Map();
+  for (const b of buildings) {
+    const words = foldWords(b.title || b.key).filter((w) => w.length >= MIN_PREFIX);
+    for (const p of new Set(words.map((w) => w.slice(0, MIN_PREFIX)))) {
+      if (!groups.has(p)) groups.set(p, []);
+      groups.get(p).push(b);
+    }
+  }
+  return new Map([...groups].sort((a, b) => a[0].localeCompare(b[0])));
+}
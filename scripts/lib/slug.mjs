@@ -0,0 +1,31 @@
+/**
+ * File-name helpers for the flat dist/ layout.
+ *
+ * Location keys come straight from the site's URLs and may be percent-encoded
+ * ("00008-%E2%80%98t-werftje"). A literal "%" in a file name does not survive
+ * a file server (it decodes the request path), so generated files use an
+ * ASCII slug of the decoded key instead ("00008-t-werftje").
+ *
+ * Records from other sources than the default profile get the source as a
+ * prefix ("othersite-00008-..."), so merged sources never share a file name.
+ */
+
+import { DEFAULT_PROFILE } from "./profiles.mjs";
+
+export function slugify(s) {
+  return String(s ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+export function fileKey(b) {
+  let key = String(b.key || b.id || "");
+  try {
+    key = decodeURIComponent(key);
+  } catch {}
+  const base = slugify(key) || String(b.id);
+  return !b.source || b.source === DEFAULT_PROFILE ? base : `${slugify(b.source)}-${base}`;
+}
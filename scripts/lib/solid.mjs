@@ -0,0 +1,263 @@
+/**
+ * Solid protocol client for deploy.mjs: authentication, containers, uploads
+ * and access control, on plain fetch.
+ *
+ * - Client credentials (Solid-OIDC): SOLID_CLIENT_ID / SOLID_CLIENT_SECRET are
+ *   exchanged at the token endpoint of SOLID_OIDC_ISSUER for a DPoP-bound
+ *   access token (ES256 key pair per session, a fresh proof per request); the
+ *   token is renewed shortly before it expires. Without a client id requests
+ *   are anonymous (e.g. a local Community Solid Server with open access)
+ * - Containers are created explicitly (PUT with the ldp:BasicContainer type),
+ *   parents first
+ * - Public read for a container and everything below it: WAC (.acl) or ACP
+ *   (.acr), detected from the container's rel="acl" link unless forced; the
+ *   session's WebID keeps full control
+ */
+
+import crypto from "node:crypto";
+
+const LDP_BASIC_CONTAINER = "http://www.w3.org/ns/ldp#BasicContainer";
+const ACP_LINK = "http://www.w3.org/ns/solid/acp#accessControl";
+const TOKEN_MARGIN_MS = 60 * 1000;
+const TIMEOUT_MS = 30000;
+
+// By file extension; anything else is uploaded as application/octet-stream
+const CONTENT_TYPES = {
+  html: "text/html",
+  css: "text/css",
+  js: "text/javascript",
+  txt: "text/plain",
+  tsv: "text/tab-separated-values",
+  csv: "text/csv",
+  ttl: "text/turtle",
+  jsonld: "application/ld+json",
+  json: "application/json",
+  jsonl: "application/jsonl",
+  geojson: "application/geo+json",
+  xml: "application/xml",
+  atom: "application/atom+xml",
+  svg: "image/svg+xml",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  png: "image/png",
+  webp: "image/webp",
+  sqlite: "application/vnd.sqlite3",
+};
+
+export function contentTypeOf(file) {
+  const ext = file.split(".").pop().toLowerCase();
+  return CONTENT_TYPES[ext] || "application/octet-stream";
+}
+
+/**
+ * Thrown for unexpected responses; carries the HTTP status.
+ */
+export class SolidError extends Error {
+  constructor(message, status = null) {
+    super(message);
+    this.name = "SolidError";
+    this.status = status;
+  }
+}
+
+const base64url = (data) => Buffer.from(data).toString("base64url");
+
+function dpopProof(key, url, method, accessToken = null) {
+  const header = { alg: "ES256", typ: "dpop+jwt", jwk: key.jwk };
+  const u = new URL(url);
+  const payload = {
+    htu: `${u.origin}${u.pathname}`,
+    htm: method,
+    jti: crypto.randomUUID(),
+    iat: Math.floor(Date.now() / 1000),
+    ...(accessToken ? { ath: base64url(crypto.createHash("sha256").update(accessToken).digest()) } : {}),
+  };
+  const input = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(payload))}`;
+  const signature = crypto.sign("sha256", Buffer.from(input), { key: key.privateKey, dsaEncoding: "ieee-p1363" });
+  return `${input}.${base64url(signature)}`;
+}
+
+function jwtClaims(token) {
+  try {
+    return JSON.parse(Buffer.from(token.split(".")[1], "base64url").toString("utf8"));
+  } catch {
+    return {};
+  }
+}
+
+async function tokenEndpoint(issuer) {
+  const url = new URL(".well-known/openid-configuration", issuer.endsWith("/") ? issuer : `${issuer}/`);
+  const res = await fetch(url, { signal: AbortSignal.timeout(TIMEOUT_MS) });
+  if (!res.ok) throw new SolidError(`OIDC configuration of ${issuer}: HTTP ${res.status}`, res.status);
+  const { token_endpoint: endpoint } = await res.json();
+  if (!endpoint) throw new SolidError(`${issuer} does not advertise a token endpoint`);
+  return endpoint;
+}
+
+async function requestToken(endpoint, key, { clientId, clientSecret }) {
+  const basic = Buffer.from(`${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`).toString("base64");
+  const res = await fetch(endpoint, {
+    method: "POST",
+    headers: {
+      authorization: `Basic ${basic}`,
+      "content-type": "application/x-www-form-urlencoded",
+      dpop: dpopProof(key, endpoint, "POST"),
+    },
+    body: "grant_type=client_credentials&scope=webid",
+    signal: AbortSignal.timeout(TIMEOUT_MS),
+  });
+  if (!res.ok) {
+    const detail = (await res.text()).slice(0, 200);
+    throw new SolidError(`client credentials refused by ${endpoint}: HTTP ${res.status} ${detail}`, res.status);
+  }
+  const { access_token: token, expires_in: expiresIn = 300 } = await res.json();
+  return { token, expiresAt: Date.now() + expiresIn * 1000, webId: jwtClaims(token).webid || null };
+}
+
+/**
+ * A session: { fetch(url, init), webId }. With `clientId` every request
+ * carries a DPoP-bound access token for that client; without, requests are
+ * anonymous and webId is null.
+ */
+export async function createSession({ issuer, clientId, clientSecret }) {
+  const anonymous = (url, init = {}) => fetch(url, { signal: AbortSignal.timeout(TIMEOUT_MS), ...init });
+  if (!clientId) return { fetch: anonymous, webId: null };
+  if (!issuer || !clientSecret) throw new SolidError("SOLID_CLIENT_ID needs SOLID_OIDC_ISSUER and SOLID_CLIENT_SECRET");
+
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+  const { kty, crv, x, y } = publicKey.export({ format: "jwk" });
+  const key = { privateKey, jwk: { kty, crv, x, y } };
+  const endpoint = await tokenEndpoint(issuer);
+  let current = await requestToken(endpoint, key, { clientId, clientSecret });
+
+  const authed = async (url, init = {}) => {
+    if (Date.now() > current.expiresAt - TOKEN_MARGIN_MS) {
+      current = await requestToken(endpoint, key, { clientId, clientSecret });
+    }
+    const method = init.method || "GET";
+    const headers = {
+      ...init.headers,
+      authorization: `DPoP ${current.token}`,
+      dpop: dpopProof(key, String(url), method, current.token),
+    };
+    return anonymous(url, { ...init, headers });
+  };
+  return { fetch: authed, webId: current.webId };
+}
+
+async function expect(res, what, ok = []) {
+  if (res.ok || ok.includes(res.status)) return res;
+  const detail = (await res.text().catch(() => "")).slice(0, 200);
+  throw new SolidError(`${what}: HTTP ${res.status}${detail ? ` ${detail}` : ""}`, res.status);
+}
+
+/**
+ * Text of `url`, or null when it does not exist.
+ */
+export async function readText(session, url) {
+  const res = await expect(await session.fetch(url), `GET ${url}`, [404]);
+  return res.status === 404 ? null : res.text();
+}
+
+/**
+ * Create the container `url` (ending in "/") unless it exists.
+ */
+export async function ensureContainer(session, url) {
+  const head = await session.fetch(url, { method: "HEAD" });
+  await head.body?.cancel();
+  if (head.ok) return false;
+  if (head.status !== 404) throw new SolidError(`HEAD ${url}: HTTP ${head.status}`, head.status);
+  const res = await session.fetch(url, {
+    method: "PUT",
+    headers: { "content-type": "text/turtle", link: `<${LDP_BASIC_CONTAINER}>; rel="type"` },
+    body: "",
+  });
+  await expect(res, `create container ${url}`);
+  await res.body?.cancel();
+  return true;
+}
+
+export async function putFile(session, url, body, contentType) {
+  const res = await session.fetch(url, { method: "PUT", headers: { "content-type": contentType }, body });
+  await expect(res, `PUT ${url}`);
+  await res.body?.cancel();
+}
+
+/**
+ * Delete `url`; a missing resource is fine. Returns false when the server
+ * refuses (409: a container that is not empty).
+ */
+export async function deleteResource(session, url) {
+  const res = await session.fetch(url, { method: "DELETE" });
+  await expect(res, `DELETE ${url}`, [404, 409]);
+  await res.body?.cancel();
+  return res.status !== 409;
+}
+
+function linkTargets(res, url, rel) {
+  const out = [];
+  for (const part of (res.headers.get("link") || "").split(/,(?=\s*<)/)) {
+    const m = part.match(/<([^>]*)>(.*)/);
+    if (m && /rel="?([^";]*)"?/.exec(m[2])?.[1].split(/\s+/).includes(rel)) out.push(new URL(m[1], url).toString());
+  }
+  return out;
+}
+
+function wacDocument(container, webId) {
+  return `@prefix acl: <http://www.w3.org/ns/auth/acl#> .
+@prefix foaf: <http://xmlns.com/foaf/0.1/> .
+
+<#owner> a acl:Authorization ;
+  acl:agent <${webId}> ;
+  acl:accessTo <${container}> ;
+  acl:default <${container}> ;
+  acl:mode acl:Read, acl:Write, acl:Control .
+
+<#public> a acl:Authorization ;
+  acl:agentClass foaf:Agent ;
+  acl:accessTo <${container}> ;
+  acl:default <${container}> ;
+  acl:mode acl:Read .
+`;
+}
+
+function acpDocument(container, webId) {
+  return `@prefix acp: <http://www.w3.org/ns/solid/acp#> .
+@prefix acl: <http://www.w3.org/ns/auth/acl#> .
+
+<#root> a acp:AccessControlResource ;
+  acp:resource <${container}> ;
+  acp:accessControl <#owner>, <#public> ;
+  acp:memberAccessControl <#owner>, <#public> .
+
+<#owner> a acp:AccessControl ;
+  acp:apply [ a acp:Policy ; acp:allow acl:Read, acl:Write, acl:Control ;
+    acp:anyOf [ a acp:Matcher ; acp:agent <${webId}> ] ] .
+
+<#public> a acp:AccessControl ;
+  acp:apply [ a acp:Policy ; acp:allow acl:Read ;
+    acp:anyOf [ a acp:Matcher ; acp:agent acp:PublicAgent ] ] .
+`;
+}
+
+/**
+ * Make `container` and everything below it publicly readable, keeping full
+ * control for the session's WebID. `mode`: "auto", "wac" or "acp".
+ * Returns { mode, url } of the access control resource written.
+ */
+export async function grantPublicRead(session, container, { mode = "auto", dryRun = false } = {}) {
+  // The new rules replace the old ones: without a WebID to keep control, nobody could write any more
+  if (!session.webId) throw new SolidError("public read needs an authenticated session with a WebID");
+  const head = await session.fetch(container, { method: "HEAD" });
+  await head.body?.cancel();
+  const [aclUrl] = linkTargets(head, container, "acl");
+  if (!aclUrl) throw new SolidError(`${container} does not link an access control resource (rel="acl")`);
+  const resolved =
+    mode !== "auto" ? mode : linkTargets(head, container, ACP_LINK).length || aclUrl.endsWith(".acr") ? "acp" : "wac";
+  if (!["wac", "acp"].includes(resolved)) throw new SolidError(`unknown access control mode "${mode}"`);
+  if (!dryRun) {
+    const doc = resolved === "acp" ? acpDocument(container, session.webId) : wacDocument(container, session.webId);
+    await putFile(session, aclUrl, doc, "text/turtle");
+  }
+  return { mode: resolved, url: aclUrl };
+}
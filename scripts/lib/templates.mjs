@@ -0,0 +1,71 @@
+/**
+ * Templates and theme of the generated site (build.mjs).
+ *
+ * Templates are ES modules whose default export renders one piece of markup
+ * from a view object: (view, { t, escapeHtml, lang }) => string. The built-in
+ * ones live in templates/ (each documents its view fields); TEMPLATES=dir
+ * overrides any of them by file name (layout.mjs, page.mjs, pager.mjs,
+ * card.mjs) and the others stay built-in.
+ *
+ * The theme is copied to the root of dist/: theme/ first, then THEME=dir on
+ * top (a file with the same path replaces the built-in one). The built-in
+ * theme is style.css; a partner theme can add fonts, logos, … next to it.
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+
+export const TEMPLATE_NAMES = ["layout", "page", "pager", "card"];
+
+export const BUILTIN_TEMPLATES = fileURLToPath(new URL("../../templates/", import.meta.url));
+export const BUILTIN_THEME = fileURLToPath(new URL("../../theme/", import.meta.url));
+
+async function exists(p) {
+  try {
+    await fs.access(p);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * { layout, page, pager, card }: the override from `dir` where present,
+ * otherwise the built-in template.
+ */
+export async function loadTemplates(dir = null) {
+  if (dir && !(await exists(dir))) throw new Error(`Templates folder ${dir} does not exist.`);
+  const out = {};
+  for (const name of TEMPLATE_NAMES) {
+    const override = dir ? path.resolve(dir, `${name}.mjs`) : null;
+    const file = override && (await exists(override)) ? override : path.join(BUILTIN_TEMPLATES, `${name}.mjs`);
+    const mod = await import(pathToFileURL(file).href);
+    if (typeof mod.default !== "function") throw new Error(`Template ${file} has no default export function.`);
+    out[name] = mod.default;
+  }
+  return out;
+}
+
+async function listFiles(dir, prefix = "") {
+  const out = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const rel = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) out.push(...(await listFiles(path.join(dir, entry.name), rel)));
+    else if (entry.isFile()) out.push({ rel, file: path.join(dir, entry.name) });
+  }
+  return out;
+}
+
+/**
+ * Theme files as [{ rel, file }] (rel = path under dist/), built-in first,
+ * overridden by `dir`.
+ */
+export async function themeFiles(dir = null) {
+  if (dir && !(await exists(dir))) throw new Error(`Theme folder ${dir} does not exist.`);
+  const byRel = new Map();
+  for (const d of [BUILTIN_THEME, dir].filter(Boolean)) {
+    for (const f of await listFiles(d)) byRel.set(f.rel, f);
+  }
+  return [...byRel.values()].sort((a, b) => a.rel.localeCompare(b.rel));
+}
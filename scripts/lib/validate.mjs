@@ -0,0 +1,167 @@
+/**
+ * Validation + data-quality report for data/buildings.json.
+ *
+ * Hard errors (the build stops):
+ * - record does not match schema/building.schema.json
+ * - duplicate `id` within one source (or duplicate `url`)
+ * - `key` / `id` are not what the record's site profile derives from the url
+ *
+ * Soft issues (reported in quality.json / quality.html, build continues):
+ * - title-fallback   title is the slug/key/url (extractor found no title text)
+ * - missing-image    no listing thumbnail
+ * - postal-line      description missing or not "0000 Municipality"
+ * - long-title       title longer than LONG_TITLE characters
+ * - unknown-source   `source` is not a built-in profile (url/key/id not checked)
+ *
+ * The schema checker implements the JSON Schema subset the schema file uses:
+ * type, required, properties, pattern, minLength, enum and format "uri".
+ */
+
+import fs from "node:fs/promises";
+import { getProfile, parseKey } from "./profiles.mjs";
+
+export const SCHEMA_URL = new URL("../../schema/building.schema.json", import.meta.url);
+
+const LONG_TITLE = 80;
+
+/**
+ * Thrown when records have hard errors; carries the full report.
+ */
+export class ValidationError extends Error {
+  constructor(message, report) {
+    super(message);
+    this.name = "ValidationError";
+    this.report = report;
+  }
+}
+
+export async function loadSchema() {
+  return JSON.parse(await fs.readFile(SCHEMA_URL, "utf8"));
+}
+
+function typeOf(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  if (Number.isInteger(v)) return "integer";
+  return typeof v;
+}
+
+function isUri(v) {
+  try {
+    const u = new URL(v);
+    return /^https?:$/.test(u.protocol);
+  } catch {
+    return false;
+  }
+}
+
+function checkValue(value, schema, at, out) {
+  const types = [].concat(schema.type || []);
+  if (types.length && !types.includes(typeOf(value)) && !(types.includes("number") && typeOf(value) === "integer")) {
+    out.push(`${at}: expected ${types.join("|")}, got ${typeOf(value)}`);
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    out.push(`${at}: ${JSON.stringify(value)} is not one of ${schema.enum.map((x) => JSON.stringify(x)).join(", ")}`);
+  }
+  if (typeof value === "string") {
+    if (schema.minLength && value.length < schema.minLength) out.push(`${at}: shorter than ${schema.minLength}`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      out.push(`${at}: ${JSON.stringify(value)} does not match ${schema.pattern}`);
+    }
+    if (schema.format === "uri" && !isUri(value)) out.push(`${at}: ${JSON.stringify(value)} is not an http(s) URL`);
+  }
+  if (typeOf(value) === "object") {
+    for (const k of schema.required || []) {
+      if (!(k in value)) out.push(`${at}: missing required property "${k}"`);
+    }
+    for (const [k, sub] of Object.entries(schema.properties || {})) {
+      if (k in value) checkValue(value[k], sub, `${at}.${k}`, out);
+    }
+  }
+}
+
+export function schemaErrors(record, schema, at = "$") {
+  const out = [];
+  checkValue(record, schema, at, out);
+  return out;
+}
+
+function issue(b, index, code, message) {
+  return { index, id: b?.id ?? null, key: b?.key ?? null, code, message };
+}
+
+/**
+ * Validate records (after address parsing). Returns { errors, warnings, summary }.
+ */
+export function validateBuildings(buildings, schema) {
+  const errors = [];
+  const warnings = [];
+
+  if (!Array.isArray(buildings)) {
+    errors.push(issue(null, null, "not-an-array", "buildings.json must contain a JSON array"));
+    return { errors, warnings, summary: summarize(0, errors, warnings) };
+  }
+
+  const seenIds = new Map();
+  const seenUrls = new Map();
+
+  buildings.forEach((b, i) => {
+    for (const msg of schemaErrors(b, schema, `[${i}]`)) errors.push(issue(b, i, "schema", msg));
+    if (typeOf(b) !== "object") return;
+
+    if (b.id != null) {
+      const sourceId = `${b.source ?? ""}:${b.id}`;
+      if (seenIds.has(sourceId)) {
+        errors.push(issue(b, i, "duplicate-id", `id ${b.id} also used by [${seenIds.get(sourceId)}]`));
+      } else seenIds.set(sourceId, i);
+    }
+    if (b.url != null) {
+      if (seenUrls.has(b.url)) errors.push(issue(b, i, "duplicate-url", `url also used by [${seenUrls.get(b.url)}]`));
+      else seenUrls.set(b.url, i);
+    }
+
+    const profile = getProfile(b.source);
+    if (!profile) {
+      warnings.push(issue(b, i, "unknown-source", `source ${JSON.stringify(b.source)} is not a built-in profile`));
+    } else if (b.id != null) {
+      const want = parseKey(profile, String(b.url ?? ""));
+      if (b.id !== want.id || b.key !== want.key) {
+        const msg = `id ${b.id} / key ${b.key} do not match url ${b.url} (${profile.name} profile)`;
+        errors.push(issue(b, i, "id-mismatch", msg));
+      }
+    }
+
+    const title = String(b.title ?? "");
+    if (title && (title === b.key || title === b.slug || title === b.url)) {
+      warnings.push(issue(b, i, "title-fallback", `title "${title}" is the slug/key/url, not listing text`));
+    }
+    if (title.length > LONG_TITLE) {
+      warnings.push(issue(b, i, "long-title", `title is ${title.length} characters long`));
+    }
+    if (!b.image) warnings.push(issue(b, i, "missing-image", "no listing thumbnail"));
+    if (b.addressIssue) {
+      warnings.push(
+        issue(b, i, "postal-line", `postal line ${b.addressIssue}: ${JSON.stringify(b.postalLine ?? b.description)}`)
+      );
+    }
+  });
+
+  return { errors, warnings, summary: summarize(buildings.length, errors, warnings) };
+}
+
+function summarize(records, errors, warnings) {
+  const byCode = {};
+  for (const x of [...errors, ...warnings]) byCode[x.code] = (byCode[x.code] || 0) + 1;
+  return { records, errors: errors.length, warnings: warnings.length, byCode };
+}
+
+/**
+ * One summary line, then the first `limit` hard errors.
+ */
+export function logValidation(report, { limit = 20 } = {}) {
+  const { summary, errors } = report;
+  console.log(`[validate] records=${summary.records} errors=${summary.errors} warnings=${summary.warnings}`);
+  for (const e of errors.slice(0, limit)) console.error(`  [${e.code}] ${e.key ?? e.index}: ${e.message}`);
+  if (errors.length > limit) console.error(`  ... ${errors.length - limit} more`);
+}
@@ -0,0 +1,59 @@
+/**
+ * Site profile: iedereen.overal.info (the default).
+ *
+ * Plain data only: selectors are CSS, patterns are RegExp sources (always
+ * compiled case-insensitive) so the page-side pickers can receive them via
+ * page.evaluate. See scripts/lib/profiles.mjs for what every field means.
+ */
+
+export default {
+  name: "iedereenoveral",
+  label: "iedereen.overal.info",
+  homepage: "https://iedereen.overal.info/",
+  startUrl: "https://iedereen.overal.info/",
+  locale: "nl-BE",
+
+  // Text the SPA shows when it did not boot
+  noJsText: "doesn't work properly without javascript enabled",
+  cookieButtons: ["accep", "akkoord", "agree", "^ok$", "alles accep"],
+
+  location: {
+    linkSelector: 'a[href*="locaties/"]',
+    pathPattern: "^/locaties/\\d{5}-",
+    // key = first group of keyPattern on the url; id/slug = groups of idPattern on the key
+    keyPattern: "/locaties/([^/]+)/?$",
+    idPattern: "^(\\d{5})-(.+)$",
+  },
+
+  pagination: {
+    strategy: "click",
+    nav: 'nav[role="navigation"]',
+    current: 'nav[role="navigation"] li[aria-current="true"] p',
+    numbers: 'nav[role="navigation"] li p',
+    next: '[aria-label="Volgende pagina"]',
+  },
+
+  card: {
+    textSelector: "p.ww-text-content, p",
+    postalLinePattern: "\\b\\d{4}\\b",
+    maxTitleLength: 80,
+    // medal/icon images are never the preview; most medal assets are local "images/..."
+    decorationSrcPattern: "goud|zilver|brons|medaille|icon|logo|favicon|precomposed|sprite|apple-touch|^images/",
+    decorationAltPattern: "goud|zilver|brons|medaille",
+    // the "real" preview: external xano thumbnail, often has "thumbnail_" and tpl=big
+    preferredImagePattern: "xano\\.io|thumbnail_|tpl=big",
+    medal: {
+      pattern: "goud|zilver|brons|medaille",
+      levels: { gold: "goud|gold", silver: "zilver|silver", bronze: "brons|bronze" },
+    },
+  },
+
+  details: {
+    postalLinePattern: "^\\d{4}\\s+\\S",
+    ignoredLinkHosts: "xano\\.io",
+    weekdays: ["maandag", "dinsdag", "woensdag", "donderdag", "vrijdag", "zaterdag", "zondag"],
+    hoursPattern: "\\d{1,2}[:.u]\\d{2}|\\bgesloten\\b|\\bopen\\b",
+    unitPattern: "(-?\\d+(?:[.,]\\d+)?)\\s*(cm|mm|m|%|°|graden|treden|lux|kg)\\b",
+    yesNoPattern: "^(ja|nee|yes|no|aanwezig|niet aanwezig)$",
+  },
+};
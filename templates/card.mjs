@@ -0,0 +1,25 @@
+/**
+ * One location in a card grid.
+ *
+ * view:
+ *   id               element id (jump target of the A–Z bar), or null
+ *   href             link to the location page
+ *   title, description, url   as extracted (plain text; description may be null)
+ *   image            preview <img> (HTML, may be "")
+ *   medal            medal badge (HTML, may be "")
+ *   note             warning about the original page (plain text), or null
+ */
+export default function card(view, { escapeHtml }) {
+  return `<article class="card"${view.id ? ` id="${view.id}"` : ""}>
+    <a class="card__inner" href="${escapeHtml(view.href)}">
+      ${view.image}
+      <div class="card__body">
+        <h2 class="card__title">${escapeHtml(view.title)}</h2>
+        ${view.medal}
+        ${view.description ? `<p class="card__desc">${escapeHtml(view.description)}</p>` : ""}
+        ${view.note ? `<p class="card__note">${escapeHtml(view.note)}</p>` : ""}
+        <div class="card__meta">${escapeHtml(view.url)}</div>
+      </div>
+    </a>
+  </article>`;
+}
@@ -0,0 +1,63 @@
+/**
+ * Page shell shared by every HTML file.
+ *
+ * view:
+ *   lang, title      page language and <title>
+ *   root             path back to dist/ (shared files: style.css, *.ttl, locations.*)
+ *   feed             true when feed.atom is published (SITE_URL set)
+ *   alternates       hreflang <link> tags (HTML)
+ *   head             extra <head> markup (HTML)
+ *   jsonLd           JSON-LD <script> (HTML, may be "")
+ *   languageNav      language switcher (HTML)
+ *   search           search form (HTML, "" on the language chooser); enhanced by search.js
+ *   body             page content (HTML)
+ *   sources          [{ label, homepage }] of the records' source sites
+ */
+export default function layout(view, { t, escapeHtml }) {
+  const { root } = view;
+  return `<!doctype html>
+<html lang="${view.lang}">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>${escapeHtml(view.title)}</title>
+  <link rel="stylesheet" href="${root}style.css" />
+  <link rel="alternate" type="text/plain" href="./llms.txt" title="${escapeHtml(t("head.llms"))}" />
+  <link rel="alternate" type="text/turtle" href="${root}dataset.ttl" title="${escapeHtml(t("head.dataset"))}" />
+  ${
+    view.feed
+      ? `<link rel="alternate" type="application/atom+xml" href="${root}feed.atom" title="${escapeHtml(
+          t("head.feed")
+        )}" />`
+      : ""
+  }
+  ${view.alternates}
+  ${view.head}
+  ${view.search ? `<script src="${root}search.js" defer></script>` : ""}
+  ${view.jsonLd}
+</head>
+<body>
+  <header class="wrap header">
+    <div class="brand">
+      <a href="./index.html" class="brand__link">${escapeHtml(t("site.title"))}</a>
+      <div class="brand__sub">${escapeHtml(t("site.sub"))}</div>
+    </div>
+    ${view.languageNav}
+    ${view.search}
+  </header>
+  <main class="wrap">
+    ${view.body}
+  </main>
+  <footer class="wrap footer">
+    <div>
+      ${t("footer.agentGuide")}: <a href="./llms.txt">llms.txt</a> ·
+      ${t("footer.quickMap")}: <a href="${root}locations.tsv">locations.tsv</a> ·
+      ${t("footer.linkedData")}: <a href="${root}dataset.ttl">dataset.ttl</a> ·
+      ${t("footer.source")}: ${view.sources
+        .map((s) => `<a href="${escapeHtml(s.homepage)}" rel="noopener noreferrer">${escapeHtml(s.label)}</a>`)
+        .join(", ")}
+    </div>
+  </footer>
+</body>
+</html>`;
+}
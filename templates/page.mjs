@@ -0,0 +1,24 @@
+/**
+ * Body of one page of a card set (main index, orderings, place pages).
+ *
+ * view:
+ *   heading          <h1> text (plain text)
+ *   intro            text under the heading (HTML)
+ *   nav              navigation above the pager, e.g. orderings / A–Z bar (HTML, may be "")
+ *   pager            pager (HTML), shown above and below the cards
+ *   cards            rendered cards (array of HTML)
+ */
+export default function page(view, { escapeHtml }) {
+  return `
+      <h1>${escapeHtml(view.heading)}</h1>
+      <p class="hint">
+        ${view.intro}
+      </p>
+      ${view.nav}
+      ${view.pager}
+      <section class="grid">
+        ${view.cards.join("\n")}
+      </section>
+      ${view.pager}
+    `;
+}
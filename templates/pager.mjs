@@ -0,0 +1,27 @@
+/**
+ * Previous / next links of a paged card set.
+ *
+ * view:
+ *   page, count      current page (1-based) and number of pages
+ *   prevHref         link to the previous page, null on the first
+ *   nextHref         link to the next page, null on the last
+ */
+export default function pager(view, { t, escapeHtml }) {
+  return `<nav class="pager" aria-label="${escapeHtml(t("pager.label"))}">
+    <div class="pager__left">
+      ${
+        view.prevHref
+          ? `<a class="btn" href="${view.prevHref}">${t("pager.prev")}</a>`
+          : `<span class="btn btn--disabled">${t("pager.prev")}</span>`
+      }
+    </div>
+    <div class="pager__mid">${t("pager.page", { page: view.page, count: view.count })}</div>
+    <div class="pager__right">
+      ${
+        view.nextHref
+          ? `<a class="btn" href="${view.nextHref}">${t("pager.next")}</a>`
+          : `<span class="btn btn--disabled">${t("pager.next")}</span>`
+      }
+    </div>
+  </nav>`;
+}
@@ -0,0 +1,179 @@
+/*
+ * Search box enhancement (progressive): without this script the search form
+ * simply opens search.html, which links the static result pages. With it,
+ * queries are answered in place from the prebuilt index in search/ (see
+ * scripts/lib/search.mjs for the file layout), fetching only the shard and
+ * document chunks a query needs.
+ */
+(function () {
+  "use strict";
+
+  var form = document.querySelector("form.search[data-root]");
+  if (!form || !window.fetch) return;
+
+  var input = form.querySelector("input[name=q]");
+  var output = document.getElementById(form.getAttribute("data-results"));
+  var root = form.getAttribute("data-root");
+  var cache = {};
+  var pending = 0;
+  var broken = false;
+  var MAX_RESULTS = 50;
+
+  function load(file) {
+    if (!cache[file]) {
+      cache[file] = fetch(root + "search/" + file).then(function (res) {
+        if (!res.ok) throw new Error(file + ": HTTP " + res.status);
+        return res.json();
+      });
+    }
+    return cache[file];
+  }
+
+  // Same folding as the build (slugify): no diacritics, lower case, a-z0-9 words
+  function fold(s) {
+    return String(s || "")
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(Boolean);
+  }
+
+  function lookup(index, word) {
+    var key = word.slice(0, index.maxPrefix);
+    var shard = key.slice(0, index.shardChars);
+    if (index.shards.indexOf(shard) < 0) return Promise.resolve([]);
+    return load(shard + ".json").then(function (entries) {
+      return entries[key] || [];
+    });
+  }
+
+  function intersect(lists) {
+    return lists.reduce(function (acc, list) {
+      return acc.filter(function (id) {
+        return list.indexOf(id) >= 0;
+      });
+    });
+  }
+
+  function docs(index, ids) {
+    var chunks = {};
+    ids.forEach(function (id) {
+      chunks[Math.floor(id / index.docChunk)] = true;
+    });
+    return Promise.all(
+      Object.keys(chunks).map(function (n) {
+        return load("docs-" + n + ".json").then(function (list) {
+          return { start: n * index.docChunk, list: list };
+        });
+      })
+    ).then(function (loaded) {
+      return ids.map(function (id) {
+        var chunk = loaded.filter(function (c) {
+          return id >= c.start && id < c.start + c.list.length;
+        })[0];
+        return chunk.list[id - chunk.start];
+      });
+    });
+  }
+
+  // Words longer than the indexed prefixes are checked against the document itself
+  function matches(doc, words) {
+    var have = fold(doc[0] + " " + (doc[1] || "") + " " + (doc[2] || ""));
+    return words.every(function (w) {
+      return have.some(function (h) {
+        return h.indexOf(w) === 0;
+      });
+    });
+  }
+
+  function text(template, count) {
+    return template.replace("{count}", count);
+  }
+
+  function render(results, total) {
+    output.textContent = "";
+    var p = document.createElement("p");
+    p.className = "hint";
+    p.textContent = total ? text(form.getAttribute("data-count"), total) : form.getAttribute("data-none");
+    output.appendChild(p);
+    if (!results.length) return;
+    var ul = document.createElement("ul");
+    ul.className = "search__list";
+    results.forEach(function (doc) {
+      var li = document.createElement("li");
+      var a = document.createElement("a");
+      a.href = "./loc-" + doc[3] + ".html";
+      a.textContent = doc[0];
+      li.appendChild(a);
+      var place = [doc[2], doc[1]].filter(Boolean).join(" ");
+      if (place) li.appendChild(document.createTextNode(" — " + place));
+      ul.appendChild(li);
+    });
+    output.appendChild(ul);
+  }
+
+  function search(query) {
+    var ticket = ++pending;
+    load("index.json")
+      .then(function (index) {
+        var words = fold(query).filter(function (w) {
+          return w.length >= index.minPrefix;
+        });
+        if (!words.length) {
+          output.hidden = true;
+          return;
+        }
+        // Up to maxPrefix characters a word is its own index key, so the ids are exact
+        var exact = words.every(function (w) {
+          return w.length <= index.maxPrefix;
+        });
+        return Promise.all(
+          words.map(function (w) {
+            return lookup(index, w);
+          })
+        )
+          .then(function (lists) {
+            var ids = intersect(lists);
+            return docs(index, exact ? ids.slice(0, MAX_RESULTS) : ids).then(function (found) {
+              var hits = exact
+                ? found
+                : found.filter(function (doc) {
+                    return matches(doc, words);
+                  });
+              return { hits: hits, total: exact ? ids.length : hits.length };
+            });
+          })
+          .then(function (result) {
+            if (ticket !== pending) return;
+            render(result.hits.slice(0, MAX_RESULTS), result.total);
+            output.hidden = false;
+          });
+      })
+      .catch(function () {
+        // Index unreachable: submitting opens the static search page instead
+        broken = true;
+        output.hidden = true;
+      });
+  }
+
+  var timer = null;
+  input.addEventListener("input", function () {
+    clearTimeout(timer);
+    if (broken) return;
+    timer = setTimeout(function () {
+      search(input.value);
+    }, 150);
+  });
+  form.addEventListener("submit", function (e) {
+    if (broken) return;
+    e.preventDefault();
+    search(input.value);
+  });
+
+  var initial = new URLSearchParams(location.search).get("q");
+  if (initial) {
+    input.value = initial;
+    search(initial);
+  }
+})();